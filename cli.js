@@ -1,28 +1,65 @@
 #!/usr/bin/env node
 
-import { Client } from '@notionhq/client';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
-import path from 'path';
 import chalk from 'chalk';
-
-// Loading animation frames
-const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-let frameIndex = 0;
-let spinnerInterval;
-let currentStatusMessage = '';
-let processedItems = 0;
-let totalItems = 0;
-let isSpinnerActive = false;
+import {
+  buildTree,
+  createCrawler,
+  renderConsole,
+  toMarkdown,
+  toAsciiMarkdown,
+  toJSON,
+  toHTML,
+  toMermaid,
+  toDot,
+  toPlantUML,
+  DEFAULT_DIAGRAM_ROWS,
+  toOPML,
+  toCSV,
+  toTSV,
+  toYAML,
+  createRecordingFetch,
+  createReplayFetch,
+  treeFromJSON,
+  limitDepth,
+  limitDbRows,
+  withoutUrls,
+  filterTree,
+  createTreeFilter,
+  diffTrees,
+  renderDiffConsole,
+  diffToMarkdown,
+  diffToJSON,
+  createTreeCache,
+  DEFAULT_CACHE_DIR,
+  exportContent,
+  SHOW_FIELDS,
+  browseTree,
+  resolveTreePath,
+  findNodes,
+  formatTreePath,
+  formatPathSegment,
+  parseTimeCutoff,
+  computeTreeStats,
+  renderStatsConsole,
+  statsToMarkdown,
+  statsToJSON,
+  getNodeUrl,
+  findStalePages,
+  renderStaleConsole,
+  staleToMarkdown,
+  staleToCSV,
+  auditAccess,
+  renderAuditConsole,
+  auditToMarkdown,
+  auditToJSON,
+} from './lib/index.js';
+import { createSpinner, writeExport } from './lib/cli-support.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize Notion client
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
-
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {
@@ -33,8 +70,48 @@ const options = {
   help: false,       // Show help
   asciiTree: false,  // Generate ASCII tree in markdown
   quiet: false,      // Suppress progress indicators
+  concurrency: 1,    // Maximum number of parallel Notion API requests
+  roots: [],         // Page/database IDs or URLs to start from instead of the workspace
+  rateLimit: 3,      // Maximum Notion API requests per second
+  record: null,      // Directory to save API requests/responses to
+  replay: null,      // Directory to replay saved API responses from
+  input: null,       // JSON export to render instead of crawling
+  cache: true,       // Reuse child lists of unchanged pages from the local cache
+  refresh: false,    // Ignore the cached child lists and rebuild the cache
+  metadata: false,   // Collect icons, timestamps, authors and more on each node
+  show: [],          // Metadata fields to show next to titles
+  icons: false,      // Prefix titles with their page/database icon
+  schema: false,     // Retrieve and show database properties
+  counts: false,     // Show the number of pages, databases and rows below each node
+  interactive: false, // Browse the tree in a full-screen terminal UI
+  diagramRows: DEFAULT_DIAGRAM_ROWS, // Rows drawn per database in diagrams before collapsing the rest
+  include: [],       // Title/path patterns of nodes to keep
+  exclude: [],       // Title/path patterns of nodes to skip with their subtrees
+  type: null,        // Only keep pages or databases
+  excludeDbRows: false, // Show databases without their rows
+  maxDbRows: Infinity, // Rows listed per database before the rest are summarized
+  dbRowSorts: [],    // Notion sorts for database rows
+  name: null,        // Title pattern for find
+  editedSince: null, // Duration or date for find, e.g. "30d"
+  stale: null,       // Report pages not edited within this duration or since this date
+  command: null,     // Subcommand: "diff", "export-content", "ls", "find", "stat" or "stats"
+  files: [],         // Positional file or path arguments for the subcommand
 };
 
+// Turn a --sort-db-rows value into Notion query sorts: "edited" and
+// "created" sort by timestamp, newest first, anything else by that property
+// in ascending order, and an ":asc" or ":desc" suffix sets the direction
+function parseRowSort(value) {
+  const [, name, suffix] = /^(.*?)(?::(asc|desc))?$/.exec(value);
+  const timestamp = { edited: 'last_edited_time', created: 'created_time' }[name];
+  const direction = suffix
+    ? (suffix === 'asc' ? 'ascending' : 'descending')
+    : (timestamp ? 'descending' : 'ascending');
+  return [timestamp ? { timestamp, direction } : { property: name, direction }];
+}
+
+const SUBCOMMANDS = ['diff', 'export-content', 'ls', 'find', 'stat', 'stats', 'audit'];
+
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
@@ -53,6 +130,60 @@ for (let i = 0; i < args.length; i++) {
     options.asciiTree = true;
   } else if (arg === '--quiet' || arg === '-q') {
     options.quiet = true;
+  } else if (arg === '--concurrency' || arg === '-c') {
+    options.concurrency = Math.max(1, parseInt(args[++i], 10) || 1);
+  } else if (arg === '--root' || arg === '-r') {
+    options.roots.push(args[++i]);
+  } else if (arg === '--rate-limit') {
+    options.rateLimit = parseFloat(args[++i]) || options.rateLimit;
+  } else if (arg === '--record') {
+    options.record = args[++i];
+  } else if (arg === '--replay') {
+    options.replay = args[++i];
+  } else if (arg === '--input' || arg === '-i') {
+    options.input = args[++i];
+  } else if (arg === '--no-cache') {
+    options.cache = false;
+  } else if (arg === '--refresh') {
+    options.refresh = true;
+  } else if (arg === '--metadata') {
+    options.metadata = true;
+  } else if (arg === '--show') {
+    options.show = args[++i].split(',').map(field => field.trim()).filter(Boolean);
+    options.metadata = true;
+  } else if (arg === '--diagram-rows') {
+    options.diagramRows = Math.max(0, parseInt(args[++i], 10) || 0);
+  } else if (arg === '--include') {
+    options.include.push(args[++i]);
+  } else if (arg === '--exclude') {
+    options.exclude.push(args[++i]);
+  } else if (arg === '--type') {
+    options.type = args[++i];
+  } else if (arg === '--exclude-db-rows') {
+    options.excludeDbRows = true;
+  } else if (arg === '--max-db-rows') {
+    options.maxDbRows = Math.max(0, parseInt(args[++i], 10) || 0);
+  } else if (arg === '--sort-db-rows') {
+    options.dbRowSorts = parseRowSort(args[++i]);
+  } else if (arg === '--name') {
+    options.name = args[++i];
+  } else if (arg === '--edited-since') {
+    options.editedSince = args[++i];
+  } else if (arg === '--stale') {
+    options.stale = args[++i];
+    options.metadata = true;
+  } else if (arg === '--interactive') {
+    options.interactive = true;
+  } else if (arg === '--schema') {
+    options.schema = true;
+  } else if (arg === '--counts') {
+    options.counts = true;
+  } else if (arg === '--icons') {
+    options.icons = true;
+  } else if (SUBCOMMANDS.includes(arg) && !options.command && options.files.length === 0) {
+    options.command = arg;
+  } else if (!arg.startsWith('-')) {
+    options.files.push(arg);
   }
 }
 
@@ -65,15 +196,64 @@ Generate a tree structure of your Notion pages and databases.
 
 ${chalk.bold('Usage:')}
   node cli.js [options]
+  node cli.js diff <old.json> <new.json> [-f format] [-o output]
+  node cli.js export-content [options] [-o directory]
+  node cli.js ls [path] [options]
+  node cli.js find [path] [--name pattern] [--type type] [--edited-since time] [options]
+  node cli.js stat <path> [options]
+  node cli.js audit [options] [-f format] [-o output]
+  node cli.js stats [options] [-f console|markdown|json|all] [-o output]
+  node cli.js --stale <time> [options] [-f console|markdown|csv|all] [-o output]
 
 ${chalk.bold('Options:')}
   -h, --help          Show this help message
-  -f, --format        Output format: console, markdown, json, or all (default: console)
+  -f, --format        Output format: console, markdown, json, yaml, html, opml, csv, tsv,
+                      mermaid, dot, plantuml, or all (default: console)
   -o, --output        Output file path (without extension, default: notion-tree-{timestamp})
   -d, --max-depth     Maximum depth to traverse (default: unlimited)
   -u, --include-urls  Include URLs in the output (default: false)
   -a, --ascii         Generate an ASCII tree markdown file (similar to console output)
   -q, --quiet         Suppress progress indicators and animations
+  -c, --concurrency   Number of parallel Notion API requests (default: 1)
+  -r, --root          Page or database ID/URL to start from (repeatable, default: whole workspace)
+      --rate-limit    Maximum Notion API requests per second (default: 3)
+      --record        Save every Notion API request and response to a directory
+      --replay        Build the tree from a recorded directory, without a token or network
+  -i, --input         Render a previous JSON export instead of crawling
+      --no-cache      Fetch every page's children instead of reusing ${DEFAULT_CACHE_DIR}/
+      --refresh       Ignore the cache and rebuild it from a full crawl
+      --metadata      Include icons, cover, timestamps, authors, archived state and parent in the JSON export
+      --show          Metadata to show next to titles in console and Markdown output, comma-separated:
+                      ${SHOW_FIELDS.join(', ')} (implies --metadata)
+      --schema        List each database's properties, their types and select/status options
+                      below it, and include the full schema in the JSON export
+      --icons         Prefix titles with their emoji icon, or a default page/database glyph
+      --counts        Follow each title with the number of pages, databases and rows below it
+      --include       Only keep nodes whose title or path matches a glob or /regex/, and their
+                      ancestors (repeatable)
+      --exclude       Skip nodes whose title or path matches a glob or /regex/, and everything
+                      below them, without crawling them (repeatable)
+      --type          Only keep pages or databases, and their ancestors: page or database
+      --exclude-db-rows
+                      Show databases without crawling their rows
+      --max-db-rows   List only the first N rows of each database, followed by a
+                      "… and N more rows" line (default: unlimited)
+      --sort-db-rows  Order database rows by a property, or by edited or created time
+                      (newest first); add :asc or :desc to change the direction
+      --diagram-rows  Rows drawn per database in mermaid, dot and plantuml output before
+                      the rest are collapsed into one node (default: ${DEFAULT_DIAGRAM_ROWS})
+      --interactive   Browse the tree in a full-screen terminal UI, fetching children on demand
+      --stale         Report pages not edited within a duration (e.g. 6mo, 1y) or since a date,
+                      flagging empty pages and subtrees where every page is stale (implies --metadata)
+      --name          find: only list nodes whose title matches a glob or /regex/
+      --edited-since  find: only list nodes edited since a duration ago (12h, 30d, 2w, 6mo, 1y)
+                      or a date (2024-05-01)
+
+${chalk.bold('Paths:')}
+  ls, find and stat address nodes by their titles from the top of the tree, e.g.
+  /Engineering/Runbooks (or below the --root pages). Write a slash inside a title as \\/,
+  and add @ and the start of the ID to pick between siblings with the same title:
+  /Engineering/Notes@1a2b3c4d. ls and find print that form for duplicates.
 
 ${chalk.bold('Examples:')}
   node cli.js                           # Display tree in console
@@ -81,153 +261,130 @@ ${chalk.bold('Examples:')}
   node cli.js -f all -o my-notion-tree  # Export to console, markdown, and json with custom filename
   node cli.js -d 2                      # Limit tree depth to 2 levels
   node cli.js -f markdown -u            # Export to markdown with clickable URLs
+  node cli.js -f html -u                # Export a searchable, collapsible HTML page
+  node cli.js -f csv -u                 # Export one row per node for a spreadsheet
+  node cli.js -f mermaid -d 2           # Export the top two levels as a Mermaid flowchart
   node cli.js -a                        # Generate ASCII tree markdown (like console output)
   node cli.js -f all -a                 # Generate all export formats including ASCII tree
+  node cli.js -c 4                      # Crawl siblings with up to 4 parallel requests
+  node cli.js -r https://www.notion.so/Engineering-Wiki-1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d
+                                        # Only show the tree below one page
+  node cli.js --record crawl-fixtures   # Crawl and save the API traffic for a bug report
+  node cli.js --replay crawl-fixtures -a
+                                        # Rebuild the same tree offline and export ASCII
+  node cli.js -i tree.json -d 2 -f markdown
+                                        # Re-render a JSON export as Markdown, 2 levels deep
+  node cli.js --show edited,icon -f markdown
+                                        # List each page's last edit date and icon
+  node cli.js --exclude-db-rows --exclude "Archive/**"
+                                        # Skip database rows and everything below Archive
+  node cli.js --max-db-rows 5 --sort-db-rows edited
+                                        # List each database's 5 most recently edited rows
+  node cli.js --type database           # List databases and the pages leading to them
+  node cli.js --type database --schema -f markdown
+                                        # Document every database's properties
+  node cli.js --interactive             # Explore the workspace with the arrow keys
+  node cli.js diff last-week.json today.json -f all
+                                        # Show what changed between two JSON exports
+  node cli.js export-content -o backup  # Back up every page as Markdown, in folders like the tree
+  node cli.js ls /Engineering           # List the pages and databases directly below Engineering
+  node cli.js find / --type database --edited-since 30d
+                                        # List the databases edited in the last 30 days
+  node cli.js stat /Engineering/Runbooks
+                                        # Show a page's ID, URL, parents and timestamps
+  node cli.js stats -f all              # Count pages, databases and rows, and rank the largest subtrees
+  node cli.js --counts -d 1             # Show how much is below each top-level page
+  node cli.js --stale 6mo -f all        # List pages nobody has edited in six months, also as Markdown and CSV
+  node cli.js audit -f all              # List the pages to share with the integration to see the whole workspace
   `);
   process.exit(0);
 }
 
-// Tree node structure to represent Notion pages
-class TreeNode {
-  constructor(id, title, type, url = null) {
-    this.id = id;
-    this.title = title;
-    this.type = type; // 'page', 'database', etc.
-    this.url = url;   // Notion URL if available
-    this.children = [];
-  }
-
-  addChild(node) {
-    this.children.push(node);
-  }
+const unknownFields = options.show.filter(field => !SHOW_FIELDS.includes(field));
+if (unknownFields.length > 0) {
+  console.error(chalk.red(`Error: unknown --show field "${unknownFields[0]}". Choose from: ${SHOW_FIELDS.join(', ')}`));
+  process.exit(1);
 }
 
-// Start spinner animation
-function startSpinner(initialMessage = 'Processing...') {
-  if (options.quiet) return;
-  
-  currentStatusMessage = initialMessage;
-  isSpinnerActive = true;
-  
-  // Clear the current line before starting
-  process.stdout.write('\r\x1b[K');
-  
-  spinnerInterval = setInterval(() => {
-    const frame = frames[frameIndex];
-    frameIndex = (frameIndex + 1) % frames.length;
-    
-    // Build progress message
-    let progressMessage = '';
-    if (totalItems > 0) {
-      const percentage = Math.round((processedItems / totalItems) * 100);
-      progressMessage = `[${processedItems}/${totalItems}, ${percentage}%] `;
-    }
-    
-    // Clear the current line and update with new spinner frame and message
-    process.stdout.write(`\r${chalk.cyan(frame)} ${progressMessage}${currentStatusMessage}`);
-  }, 80);
-}
-
-// Update spinner message
-function updateSpinnerMessage(message) {
-  if (options.quiet) return;
-  currentStatusMessage = message;
-}
-
-// Update progress counter
-function updateProgressCounter(processed, total = null) {
-  if (options.quiet) return;
-  processedItems = processed;
-  if (total !== null) {
-    totalItems = total;
+try {
+  createTreeFilter(options);
+  for (const time of [options.editedSince, options.stale].filter(Boolean)) {
+    parseTimeCutoff(time);
   }
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
 }
 
-// Stop spinner animation
-function stopSpinner(finalMessage = null) {
-  if (!isSpinnerActive || options.quiet) return;
-  
-  clearInterval(spinnerInterval);
-  isSpinnerActive = false;
-  
-  // Clear the current line
-  process.stdout.write('\r\x1b[K');
-  
-  // Print final message if provided
-  if (finalMessage) {
-    console.log(finalMessage);
-  }
-}
+const spinner = createSpinner({ quiet: options.quiet });
 
 // Main function to generate the tree
 async function generateNotionTree() {
   try {
     console.log(chalk.blue('🔍 Generating Notion page tree...'));
     
-    // Check if API key is set
-    if (!process.env.NOTION_API_KEY) {
-      console.error(chalk.red('Error: NOTION_API_KEY is not set in .env file'));
-      console.log(chalk.yellow('Please create a .env file with your Notion API key:'));
-      console.log('NOTION_API_KEY=your_notion_integration_token_here');
-      process.exit(1);
+    // Render a previous JSON export, or crawl the workspace
+    const tree = options.input ? await loadInputTree() : await crawlTree();
+    
+    // Handle output based on format option
+    if (options.format === 'console' || options.format === 'all') {
+      console.log(chalk.blue('🌳 Displaying tree structure:'));
+      displayTree(tree);
     }
     
-    // Start spinner for fetching root items
-    startSpinner('Searching for workspace pages and databases...');
+    if (options.format === 'markdown' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.md`, toMarkdown(tree, { show: options.show, icons: options.icons, schema: options.schema, counts: options.counts }), 'Markdown');
+    }
     
-    // Get all pages and databases at the workspace level first
-    const rootNodes = await fetchRootItems();
+    if (options.format === 'json' || options.format === 'all') {
+      const json = toJSON(tree, { maxDepth: options.maxDepth, includeUrls: options.includeUrls });
+      await writeExport(`${getOutputFilename()}.json`, json, 'JSON');
+    }
     
-    stopSpinner();
-    console.log(chalk.blue(`Found ${rootNodes.length} root items. Building tree structure...`));
+    if (options.format === 'yaml' || options.format === 'all') {
+      const yaml = toYAML(tree, { maxDepth: options.maxDepth, includeUrls: options.includeUrls });
+      await writeExport(`${getOutputFilename()}.yaml`, yaml, 'YAML');
+    }
     
-    // Reset counters for the tree building phase
-    processedItems = 0;
-    totalItems = rootNodes.length;
+    if (options.format === 'html' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.html`, toHTML(tree, { icons: options.icons }), 'HTML');
+    }
     
-    // Start spinner for building the tree
-    startSpinner('Building tree structure...');
+    if (options.format === 'opml' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.opml`, toOPML(tree), 'OPML');
+    }
     
-    // Process each root node to build the tree
-    const tree = [];
-    for (let i = 0; i < rootNodes.length; i++) {
-      const rootNode = rootNodes[i];
-      updateSpinnerMessage(`Processing ${chalk.green(rootNode.title)}...`);
-      const node = await buildTreeRecursively(rootNode, 0);
-      tree.push(node);
-      updateProgressCounter(i + 1);
+    // Flat tables, one row per node
+    if (options.format === 'csv' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.csv`, toCSV(tree), 'CSV');
     }
     
-    stopSpinner(chalk.blue('✅ Tree structure built successfully!'));
+    if (options.format === 'tsv' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.tsv`, toTSV(tree), 'TSV');
+    }
     
-    // Handle output based on format option
-    if (options.format === 'console' || options.format === 'all') {
-      console.log(chalk.blue('🌳 Displaying tree structure:'));
-      displayTree(tree);
+    // Diagrams
+    const diagramOptions = { maxRows: options.diagramRows };
+    if (options.format === 'mermaid' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.mmd`, toMermaid(tree, diagramOptions), 'Mermaid');
     }
     
-    if (options.format === 'markdown' || options.format === 'all') {
-      startSpinner('Generating Markdown export...');
-      await exportTreeToMarkdown(tree);
-      stopSpinner();
+    if (options.format === 'dot' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.dot`, toDot(tree, diagramOptions), 'Graphviz DOT');
     }
     
-    if (options.format === 'json' || options.format === 'all') {
-      startSpinner('Generating JSON export...');
-      await exportTreeToJSON(tree);
-      stopSpinner();
+    if (options.format === 'plantuml' || options.format === 'all') {
+      await writeExport(`${getOutputFilename()}.puml`, toPlantUML(tree, diagramOptions), 'PlantUML');
     }
     
     // Handle ASCII tree export if requested
     if (options.asciiTree) {
-      startSpinner('Generating ASCII tree export...');
-      await exportTreeToASCIIMarkdown(tree);
-      stopSpinner();
+      await writeExport(`${getOutputFilename()}-ascii.md`, toAsciiMarkdown(tree, { icons: options.icons, counts: options.counts }), 'ASCII Markdown');
     }
     
     console.log(chalk.green('✅ Tree generation complete!'));
   } catch (error) {
-    stopSpinner();
+    spinner.stop();
     console.error(chalk.red('Error generating tree:'), error.message);
     if (error.code === 'unauthorized') {
       console.error(chalk.yellow('Make sure your Notion API key is correct and the integration has the necessary permissions.'));
@@ -236,428 +393,540 @@ async function generateNotionTree() {
   }
 }
 
-// Fetch root-level pages and databases
-async function fetchRootItems() {
-  const rootItems = [];
-  let pagesProcessed = 0;
-  
+// Compare two JSON exports and report added, removed, renamed, moved and
+// converted pages and databases
+async function compareExports() {
   try {
-    // Search for all pages the integration has access to
-    updateSpinnerMessage('Searching for pages...');
-    const response = await notion.search({
-      filter: {
-        value: 'page',
-        property: 'object'
-      },
-      page_size: 100,
-    });
+    if (options.files.length !== 2) {
+      console.error(chalk.red('Error: diff needs two JSON exports, e.g. node cli.js diff old.json new.json'));
+      process.exit(1);
+    }
     
-    // Filter for only workspace-level pages (no parent page)
-    for (const result of response.results) {
-      if (result.parent.type === 'workspace') {
-        const title = getPageTitle(result);
-        rootItems.push({
-          id: result.id,
-          title,
-          type: result.object,
-          parent: result.parent,
-          url: options.includeUrls ? result.url : null,
-        });
-      }
-      pagesProcessed++;
-      updateSpinnerMessage(`Found ${pagesProcessed} pages...`);
+    const [oldExport, newExport] = await Promise.all(options.files.map(async file => {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      return { file, generated: data.generated || null, tree: treeFromJSON(data) };
+    }));
+    const diff = diffTrees(oldExport.tree, newExport.tree);
+    
+    if (options.format === 'console' || options.format === 'all') {
+      console.log(chalk.blue(`🔀 Changes from ${oldExport.file} to ${newExport.file}:`));
+      console.log(renderDiffConsole(diff));
     }
     
-    // Also search for databases at the workspace level
-    updateSpinnerMessage('Searching for databases...');
-    const dbResponse = await notion.search({
-      filter: {
-        value: 'database',
-        property: 'object'
-      },
-      page_size: 100,
-    });
+    if (options.format === 'markdown' || options.format === 'all') {
+      const markdown = diffToMarkdown(diff, { oldLabel: describeExport(oldExport), newLabel: describeExport(newExport) });
+      await writeExport(`${getOutputFilename('notion-tree-diff')}.md`, markdown, 'Markdown');
+    }
     
-    let dbProcessed = 0;
-    for (const result of dbResponse.results) {
-      if (result.parent.type === 'workspace') {
-        const title = getDatabaseTitle(result);
-        rootItems.push({
-          id: result.id,
-          title,
-          type: result.object,
-          parent: result.parent,
-          url: options.includeUrls ? result.url : null,
-        });
-      }
-      dbProcessed++;
-      updateSpinnerMessage(`Found ${pagesProcessed} pages and ${dbProcessed} databases...`);
+    if (options.format === 'json' || options.format === 'all') {
+      const json = diffToJSON(diff, {
+        old: { file: oldExport.file, generated: oldExport.generated },
+        new: { file: newExport.file, generated: newExport.generated },
+      });
+      await writeExport(`${getOutputFilename('notion-tree-diff')}.json`, json, 'JSON');
     }
   } catch (error) {
-    updateSpinnerMessage(`Error finding root items: ${error.message}`);
-    throw error;
+    console.error(chalk.red('Error comparing exports:'), error.message);
+    process.exit(1);
   }
-  
-  return rootItems;
 }
 
-// Global counter for progress tracking
-let totalNodesProcessed = 0;
-
-// Recursively build the tree for a given node
-async function buildTreeRecursively(item, depth) {
-  const node = new TreeNode(item.id, item.title, item.type, item.url);
-  totalNodesProcessed++;
-  
-  if (totalNodesProcessed % 5 === 0) {
-    updateSpinnerMessage(`Building tree... (${totalNodesProcessed} nodes processed)`);
-  }
-  
-  // Stop recursion if we've reached the maximum depth
-  if (depth >= options.maxDepth) {
-    return node;
-  }
-  
-  if (item.type === 'database') {
-    // For databases, fetch all pages in the database
-    const pages = await fetchDatabasePages(item.id);
-    for (const page of pages) {
-      const childNode = await buildTreeRecursively(page, depth + 1);
-      node.addChild(childNode);
-    }
-  } else if (item.type === 'page') {
-    // For pages, fetch child blocks
-    const children = await fetchPageChildren(item.id);
-    for (const child of children) {
-      const childNode = await buildTreeRecursively(child, depth + 1);
-      node.addChild(childNode);
+// Crawl the tree, or load it with --input, and report its size: totals,
+// the widest node and the largest subtrees
+async function showStats() {
+  try {
+    console.log(chalk.blue('🔍 Generating Notion page tree...'));
+    const tree = options.input ? await loadInputTree() : await crawlTree();
+    const stats = computeTreeStats(tree);
+    
+    if (options.format === 'console' || options.format === 'all') {
+      console.log(chalk.blue('📊 Workspace statistics:'));
+      console.log(renderStatsConsole(stats));
     }
+    
+    if (options.format === 'markdown' || options.format === 'all') {
+      await writeExport(`${getOutputFilename('notion-tree-stats')}.md`, statsToMarkdown(stats), 'Markdown');
+    }
+    
+    if (options.format === 'json' || options.format === 'all') {
+      await writeExport(`${getOutputFilename('notion-tree-stats')}.json`, statsToJSON(stats), 'JSON');
+    }
+  } catch (error) {
+    spinner.stop();
+    console.error(chalk.red('Error computing statistics:'), error.message);
+    process.exit(1);
   }
-  
-  return node;
 }
 
-// Fetch all pages in a database
-async function fetchDatabasePages(databaseId) {
-  const pages = [];
-  
+// Crawl the tree, or load it with --input, and report the pages not edited
+// since the --stale cutoff. Whether a stale page is empty is checked through
+// the API, so not with --input.
+async function reportStalePages() {
   try {
-    updateSpinnerMessage(`Fetching pages from database ${databaseId.substr(0, 8)}...`);
-    const response = await notion.databases.query({
-      database_id: databaseId,
-      page_size: 100,
-    });
+    console.log(chalk.blue('🔍 Generating Notion page tree...'));
+    const tree = options.input ? await loadInputTree() : await crawlTree();
+    
+    let isEmpty = null;
+    if (!options.input) {
+      const crawler = createCrawler(getCrawlerOptions(null));
+      isEmpty = async node => {
+        try {
+          return await crawler.isPageEmpty(node.id);
+        } catch (error) {
+          console.error(chalk.yellow(`Error checking content of page ${node.id}: ${error.message}`));
+          return null;
+        }
+      };
+      spinner.start('Checking stale pages for content...');
+    }
+    const report = await findStalePages(tree, { cutoff: parseTimeCutoff(options.stale), isEmpty });
+    spinner.stop();
     
-    for (const page of response.results) {
-      const title = getPageTitle(page);
-      pages.push({
-        id: page.id,
-        title,
-        type: 'page',
-        parent: page.parent,
-        url: options.includeUrls ? page.url : null,
-      });
+    if (options.format === 'console' || options.format === 'all') {
+      console.log(chalk.blue('🕸️  Stale pages:'));
+      console.log(renderStaleConsole(report));
+    }
+    
+    if (options.format === 'markdown' || options.format === 'all') {
+      await writeExport(`${getOutputFilename('notion-stale')}.md`, staleToMarkdown(report), 'Markdown');
+    }
+    
+    if (options.format === 'csv' || options.format === 'all') {
+      await writeExport(`${getOutputFilename('notion-stale')}.csv`, staleToCSV(report), 'CSV');
     }
-    updateSpinnerMessage(`Found ${pages.length} pages in database ${databaseId.substr(0, 8)}`);
   } catch (error) {
-    console.error(chalk.yellow(`Error fetching pages from database ${databaseId}:`, error.message));
+    spinner.stop();
+    console.error(chalk.red('Error reporting stale pages:'), error.message);
+    process.exit(1);
   }
-  
-  return pages;
 }
 
-// Fetch child blocks of a page that are pages or databases
-async function fetchPageChildren(pageId) {
-  const children = [];
-  let hasMore = true;
-  let cursor = undefined;
-  
+// Crawl the workspace, recording every page and database the integration
+// was denied, then scan page content for links and mentions of pages it
+// can't see, and report what to share with it
+async function runAudit() {
   try {
-    updateSpinnerMessage(`Fetching children for page ${pageId.substr(0, 8)}...`);
+    if (options.input) {
+      console.error(chalk.red('Error: audit needs to crawl the workspace, so it cannot be used with --input'));
+      process.exit(1);
+    }
     
-    while (hasMore) {
-      const response = await notion.blocks.children.list({
-        block_id: pageId,
-        page_size: 100,
-        start_cursor: cursor,
-      });
-      
-      for (const block of response.results) {
-        // Check if the block is a child page or child database
-        if (block.type === 'child_page') {
-          // Get the actual page to get its URL if needed
-          let url = null;
-          if (options.includeUrls) {
-            try {
-              const pageDetails = await notion.pages.retrieve({ page_id: block.id });
-              url = pageDetails.url;
-            } catch (error) {
-              // Ignore URL retrieval errors
-            }
-          }
-          
-          children.push({
-            id: block.id,
-            title: block.child_page.title,
-            type: 'page',
-            parent: { type: 'page_id', page_id: pageId },
-            url,
-          });
-        } else if (block.type === 'child_database') {
-          // Get the actual database to get its URL if needed
-          let url = null;
-          if (options.includeUrls) {
-            try {
-              const dbDetails = await notion.databases.retrieve({ database_id: block.id });
-              url = dbDetails.url;
-            } catch (error) {
-              // Ignore URL retrieval errors
-            }
-          }
-          
-          children.push({
-            id: block.id,
-            title: block.child_database.title,
-            type: 'database',
-            parent: { type: 'page_id', page_id: pageId },
-            url,
-          });
-        }
-      }
-      
-      hasMore = response.has_more;
-      cursor = response.next_cursor;
-      
-      if (hasMore) {
-        updateSpinnerMessage(`Fetching more children for page ${pageId.substr(0, 8)}...`);
-      }
+    console.log(chalk.blue('🔍 Generating Notion page tree...'));
+    const denied = [];
+    const onAccessDenied = issue => denied.push(issue);
+    const tree = await crawlTree({ onAccessDenied });
+    
+    spinner.start('Scanning page content for links...');
+    const audit = await auditAccess(tree, {
+      crawler: createCrawler({ ...getCrawlerOptions(null), onAccessDenied }),
+      denied,
+      onProgress: spinner.setProgress,
+      onWarning: message => console.error(chalk.yellow(message)),
+    });
+    spinner.stop();
+    
+    if (options.format === 'console' || options.format === 'all') {
+      console.log(chalk.blue('🔐 Access audit:'));
+      console.log(renderAuditConsole(audit));
     }
     
-    if (children.length > 0) {
-      updateSpinnerMessage(`Found ${children.length} child pages/databases in page ${pageId.substr(0, 8)}`);
+    if (options.format === 'markdown' || options.format === 'all') {
+      await writeExport(`${getOutputFilename('notion-access-audit')}.md`, auditToMarkdown(audit), 'Markdown');
+    }
+    
+    if (options.format === 'json' || options.format === 'all') {
+      await writeExport(`${getOutputFilename('notion-access-audit')}.json`, auditToJSON(audit), 'JSON');
     }
   } catch (error) {
-    console.error(chalk.yellow(`Error fetching children for page ${pageId}:`, error.message));
+    spinner.stop();
+    console.error(chalk.red('Error auditing access:'), error.message);
+    process.exit(1);
   }
-  
-  return children;
 }
 
-// Helper function to extract page title
-function getPageTitle(page) {
-  // Try to get title from properties
-  if (page.properties) {
-    // Look for a title property
-    for (const key in page.properties) {
-      const property = page.properties[key];
-      if (property.type === 'title' && property.title.length > 0) {
-        return property.title.map(text => text.plain_text).join('');
-      }
-    }
+// Label an export by file name and, if known, when it was generated
+function describeExport({ file, generated }) {
+  return generated ? `${file} (generated ${new Date(generated).toLocaleString()})` : file;
+}
+
+// Crawl the tree, then fetch the content of every page and write it to a
+// directory of Markdown files that mirrors the tree
+async function exportPageContent() {
+  try {
+    console.log(chalk.blue('🔍 Generating Notion page tree...'));
+    const tree = options.input ? await loadInputTree() : await crawlTree();
+    checkCrawlSetup();
+    
+    const dir = getOutputFilename('notion-content');
+    spinner.start('Exporting page content...');
+    const { pages, databases } = await exportContent(tree, {
+      crawler: createCrawler(getCrawlerOptions(null)),
+      dir,
+      concurrency: options.concurrency,
+      onProgress: spinner.setProgress,
+      onWarning: message => console.error(chalk.yellow(message)),
+    });
+    
+    spinner.stop();
+    console.log(chalk.green(`✅ Exported ${pages} pages and ${databases} databases to ${dir}/`));
+  } catch (error) {
+    spinner.stop();
+    console.error(chalk.red('Error exporting content:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Load children for path lookups: from the --input export, or fetched from
+// the API the first time each node is looked into. `getChildren` takes a
+// node, or null for the top of the tree, as resolveTreePath expects, and
+// `finish` stops the spinner and saves the cache.
+async function createChildLoader() {
+  if (options.input) {
+    const tree = await loadInputTree();
+    return { getChildren: node => (node ? node.children : tree), finish: async () => {} };
   }
   
-  // Fallback for child pages
-  if (page.child_page && page.child_page.title) {
-    return page.child_page.title;
+  checkCrawlSetup();
+  const cache = createCache();
+  const crawler = createCrawler({
+    ...getCrawlerOptions(cache),
+    metadata: true, // for stat and --edited-since
+  });
+  
+  const loaded = new Map();
+  function getChildren(node) {
+    if (!loaded.has(node)) {
+      if (!node) {
+        loaded.set(node, crawler.fetchRootNodes());
+      } else if (node.type === 'group') {
+        // The group of pages shared without their parent comes with its members
+        loaded.set(node, Promise.resolve(node.children));
+      } else {
+        loaded.set(node, crawler.fetchChildNodes(node).then(children => {
+          node.children = children;
+          return children;
+        }));
+      }
+    }
+    return loaded.get(node);
   }
   
-  return 'Untitled';
+  return {
+    getChildren,
+    finish: async () => {
+      spinner.stop();
+      if (cache) {
+        await cache.save();
+      }
+    },
+  };
 }
 
-// Helper function to extract database title
-function getDatabaseTitle(database) {
-  if (database.title && database.title.length > 0) {
-    return database.title.map(text => text.plain_text).join('');
+// A node's title in ls and find output, colored like the console tree
+function colorByType(node, text) {
+  if (node.type === 'database') {
+    return chalk.cyan(text);
   }
-  return 'Untitled Database';
+  return node.type === 'group' ? chalk.yellow(text) : chalk.green(text);
 }
 
-// Display the tree structure
-function displayTree(tree, prefix = '') {
-  for (let i = 0; i < tree.length; i++) {
-    const node = tree[i];
-    const isLast = i === tree.length - 1;
-    const connector = isLast ? '└── ' : '├── ';
-    
-    // Use different colors for different node types
-    let nodeDisplay;
-    if (node.type === 'database') {
-      nodeDisplay = chalk.cyan(`${node.title} (Database)`);
-    } else {
-      nodeDisplay = chalk.green(node.title);
+// Run ls, find or stat on the path given after the subcommand
+async function runPathCommand() {
+  try {
+    const path = options.files[0] || '/';
+    if (options.command === 'stat' && options.files.length === 0) {
+      console.error(chalk.red('Error: stat needs a path, e.g. node cli.js stat /Engineering/Runbooks'));
+      process.exit(1);
     }
     
-    console.log(`${prefix}${connector}${nodeDisplay}`);
-    
-    // Recursively display children with proper indentation
-    if (node.children.length > 0) {
-      const childPrefix = prefix + (isLast ? '    ' : '│   ');
-      displayTree(node.children, childPrefix);
+    spinner.start('Resolving path...');
+    const { getChildren, finish } = await createChildLoader();
+    const steps = await resolveTreePath(path, getChildren);
+    const target = steps.length > 0 ? steps[steps.length - 1].node : null;
+    const segments = steps.map(step => step.segment);
+    
+    if (options.command === 'ls') {
+      const children = await getChildren(target);
+      await finish();
+      for (const child of children) {
+        const segment = formatPathSegment(child, children);
+        console.log(colorByType(child, child.type === 'database' ? `${segment} (Database)` : segment));
+      }
+    } else if (options.command === 'find') {
+      spinner.update('Searching...');
+      const matches = await findNodes(target, getChildren, {
+        startSegments: segments,
+        name: options.name,
+        type: options.type,
+        editedSince: options.editedSince && parseTimeCutoff(options.editedSince),
+        maxDepth: options.maxDepth,
+      });
+      await finish();
+      for (const { node, path: nodePath } of matches) {
+        console.log(colorByType(node, nodePath));
+      }
+    } else {
+      if (!target) {
+        await finish();
+        console.error(chalk.red('Error: stat needs the path of a page or database, not /'));
+        process.exit(1);
+      }
+      const children = await getChildren(target);
+      await finish();
+      console.log(describeNodeAtPath(steps, children));
     }
+  } catch (error) {
+    spinner.stop();
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
   }
 }
 
-// Generate output filename based on options
-function getOutputFilename() {
-  if (options.output) {
-    return options.output;
+// The stat report of the last node in a resolved path
+function describeNodeAtPath(steps, children) {
+  const { node } = steps[steps.length - 1];
+  const segments = steps.map(step => step.segment);
+  const url = getNodeUrl(node);
+  const metadata = node.metadata || {};
+  const byUser = user => (user ? ` by ${user}` : '');
+  
+  const lines = [
+    `Title:    ${node.title}`,
+    `Path:     ${formatTreePath(segments)}`,
+    `Type:     ${node.type}`,
+    `ID:       ${node.id}`,
+  ];
+  if (url) {
+    lines.push(`URL:      ${url}`);
   }
   
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  return `notion-tree-${timestamp}`;
+  // Ancestors from the top of the tree down
+  const parents = steps.slice(0, -1).map((step, i) => `${formatTreePath(segments.slice(0, i + 1))} (${step.node.id})`);
+  lines.push(`Parents:  ${parents.length > 0 ? parents.join('\n          ') : '(top level)'}`);
+  
+  if (metadata.createdTime) {
+    lines.push(`Created:  ${metadata.createdTime}${byUser(metadata.createdBy)}`);
+  }
+  if (metadata.lastEditedTime) {
+    lines.push(`Edited:   ${metadata.lastEditedTime}${byUser(metadata.lastEditedBy)}`);
+  }
+  if (metadata.archived) {
+    lines.push('Archived: yes');
+  }
+  lines.push(`${node.type === 'database' ? 'Rows:    ' : 'Children:'} ${node.rowCount || children.length}`);
+  
+  return lines.join('\n');
 }
 
-// Export the tree to a Markdown file
-async function exportTreeToMarkdown(tree) {
-  try {
-    const filePath = `${getOutputFilename()}.md`;
-    
-    let content = '# Notion Workspace Structure\n\n';
-    content += 'Generated on: ' + new Date().toLocaleString() + '\n\n';
-    
-    // Helper function to build the markdown tree
-    function buildMarkdownTree(nodes, level = 0) {
-      let result = '';
-      for (const node of nodes) {
-        const indent = '  '.repeat(level);
-        const nodeType = node.type === 'database' ? ' (Database)' : '';
-        const nodeLink = node.url ? `[${node.title}${nodeType}](${node.url})` : `${node.title}${nodeType}`;
-        result += `${indent}- ${nodeLink}\n`;
-        
-        if (node.children.length > 0) {
-          result += buildMarkdownTree(node.children, level + 1);
-        }
-      }
-      return result;
-    }
-    
-    content += buildMarkdownTree(tree);
-    
-    await fs.writeFile(filePath, content, 'utf8');
-    console.log(chalk.green(`✅ Tree exported to Markdown file: ${filePath}`));
-  } catch (error) {
-    console.error(chalk.red('Error exporting tree to Markdown:'), error.message);
+// Crawl the workspace through the Notion API. `crawlerOptions` are added to
+// the ones from the command line.
+async function crawlTree(crawlerOptions = {}) {
+  checkCrawlSetup();
+  const cache = createCache();
+  
+  // Start spinner for fetching root items
+  spinner.start(options.roots.length > 0
+    ? 'Resolving root pages and databases...'
+    : 'Searching for workspace pages and databases...');
+  
+  const tree = await buildTree({
+    ...getCrawlerOptions(cache),
+    ...crawlerOptions,
+    onRootsFound: rootItems => {
+      spinner.stop();
+      console.log(chalk.blue(`Found ${rootItems.length} root items. Building tree structure...`));
+      spinner.start('Building tree structure...');
+    },
+  });
+  
+  spinner.stop(chalk.blue('✅ Tree structure built successfully!'));
+  if (cache) {
+    reportCacheStats(cache.getStats());
   }
+  return tree;
 }
 
-// Export the tree to a clean ASCII tree format in Markdown file
-async function exportTreeToASCIIMarkdown(tree) {
+// Explore the tree in a full-screen terminal browser. Only the roots are
+// fetched up front; children are fetched as nodes are expanded.
+async function browseInteractively() {
   try {
-    const baseFilename = getOutputFilename();
-    const filePath = `${baseFilename}-ascii.md`;
-    
-    let content = '# Notion Workspace Structure - ASCII Tree\n\n';
-    content += 'Generated on: ' + new Date().toLocaleString() + '\n\n';
-    content += '```\n'; // Start code block for the ASCII tree
-    
-    // Helper function to build the ASCII tree
-    function buildASCIITree(nodes, prefix = '') {
-      let result = '';
-      
-      for (let i = 0; i < nodes.length; i++) {
-        const node = nodes[i];
-        const isLast = i === nodes.length - 1;
-        const connector = isLast ? '└── ' : '├── ';
-        
-        // Format node display
-        let nodeDisplay;
-        if (node.type === 'database') {
-          nodeDisplay = `${node.title} (Database)`;
-          if (node.url) {
-            // Include URL as a footnote reference
-            nodeDisplay += ` [${i + 1}]`;
-          }
-        } else {
-          nodeDisplay = node.title;
-          if (node.url) {
-            // Include URL as a footnote reference
-            nodeDisplay += ` [${i + 1}]`;
-          }
-        }
-        
-        result += `${prefix}${connector}${nodeDisplay}\n`;
-        
-        // Recursively add children with proper indentation
-        if (node.children.length > 0) {
-          const childPrefix = prefix + (isLast ? '    ' : '│   ');
-          result += buildASCIITree(node.children, childPrefix);
-        }
-      }
-      
-      return result;
-    }
-    
-    // Build the ASCII tree
-    content += buildASCIITree(tree);
-    content += '```\n\n'; // End code block
-    
-    // Add URL footnotes if any
-    let footnoteIndex = 1;
-    function addURLFootnotes(nodes) {
-      let footnotes = '';
-      
-      for (let i = 0; i < nodes.length; i++) {
-        const node = nodes[i];
-        if (node.url) {
-          footnotes += `[${footnoteIndex}]: ${node.url}\n`;
-          footnoteIndex++;
-        }
-        
-        if (node.children.length > 0) {
-          footnotes += addURLFootnotes(node.children);
-        }
-      }
-      
-      return footnotes;
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      console.error(chalk.red('Error: --interactive needs to run in a terminal'));
+      process.exit(1);
     }
     
-    // Add footnotes for URLs if include URLs option is enabled
-    if (options.includeUrls) {
-      const footnotes = addURLFootnotes(tree);
-      if (footnotes) {
-        content += '\n### Links\n\n';
-        content += footnotes;
-      }
+    if (options.input) {
+      await browseTree(await loadInputTree());
+      return;
     }
     
-    await fs.writeFile(filePath, content, 'utf8');
-    console.log(chalk.green(`✅ Tree exported to ASCII Markdown file: ${filePath}`));
-  } catch (error) {
-    console.error(chalk.red('Error exporting tree to ASCII Markdown:'), error.message);
-  }
-}
-
-// Export the tree to a JSON file
-async function exportTreeToJSON(tree) {
-  try {
-    const filePath = `${getOutputFilename()}.json`;
+    checkCrawlSetup();
+    const cache = createCache();
+    const warnings = [];
+    const crawler = createCrawler({
+      ...getCrawlerOptions(cache),
+      metadata: true, // for the side panel
+      onWarning: message => warnings.push(message),
+    });
     
-    const data = {
-      generated: new Date().toISOString(),
-      options: {
-        maxDepth: options.maxDepth,
-        includeUrls: options.includeUrls
+    spinner.start(options.roots.length > 0
+      ? 'Resolving root pages and databases...'
+      : 'Searching for workspace pages and databases...');
+    const tree = await crawler.fetchRootNodes();
+    spinner.stop();
+    
+    await browseTree(tree, {
+      // The crawler reports failed requests as warnings; show them in the browser
+      loadChildren: async node => {
+        const warningCount = warnings.length;
+        const children = await crawler.fetchChildNodes(node);
+        if (warnings.length > warningCount) {
+          throw new Error(warnings[warnings.length - 1]);
+        }
+        return children;
       },
-      tree: tree
-    };
+    });
     
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
-    console.log(chalk.green(`✅ Tree exported to JSON file: ${filePath}`));
+    if (cache) {
+      await cache.save();
+    }
   } catch (error) {
-    console.error(chalk.red('Error exporting tree to JSON:'), error.message);
+    spinner.stop();
+    console.error(chalk.red('Error browsing tree:'), error.message);
+    process.exit(1);
   }
 }
 
+// Exit with an explanation if the crawl can't run with the given options
+function checkCrawlSetup() {
+  if (options.record && options.replay) {
+    console.error(chalk.red('Error: --record and --replay cannot be used together'));
+    process.exit(1);
+  }
+  
+  // Check if API key is set; replaying a recorded crawl doesn't need one
+  if (!process.env.NOTION_API_KEY && !options.replay) {
+    console.error(chalk.red('Error: NOTION_API_KEY is not set in .env file'));
+    console.log(chalk.yellow('Please create a .env file with your Notion API key:'));
+    console.log('NOTION_API_KEY=your_notion_integration_token_here');
+    process.exit(1);
+  }
+}
+
+// The child list cache for this crawl, if it should use one. Recorded and
+// replayed crawls should reflect the API traffic, not the cache.
+function createCache() {
+  return options.cache && !options.record && !options.replay
+    ? createTreeCache(DEFAULT_CACHE_DIR, { refresh: options.refresh })
+    : null;
+}
+
+// Crawler options shared by full crawls and the interactive browser
+function getCrawlerOptions(cache) {
+  return {
+    auth: process.env.NOTION_API_KEY,
+    baseUrl: process.env.NOTION_API_BASE_URL,
+    fetch: getFetch(),
+    roots: options.roots,
+    maxDepth: options.maxDepth,
+    includeUrls: options.includeUrls,
+    metadata: options.metadata,
+    icons: options.icons,
+    schema: options.schema,
+    concurrency: options.concurrency,
+    include: options.include,
+    exclude: options.exclude,
+    type: options.type,
+    excludeDbRows: options.excludeDbRows,
+    maxDbRows: options.maxDbRows,
+    dbRowSorts: options.dbRowSorts,
+    cache,
+    // Replayed responses come from disk, so there's no rate limit to respect
+    requestsPerSecond: options.replay ? Infinity : options.rateLimit,
+    onStatus: spinner.update,
+    onProgress: spinner.setProgress,
+    onWarning: message => console.error(chalk.yellow(message)),
+  };
+}
+
+// Report how many child lists came from the cache
+function reportCacheStats({ hits, misses }) {
+  const total = hits + misses;
+  if (total > 0) {
+    const hitRate = Math.round((hits / total) * 100);
+    console.log(chalk.blue(`♻️  Reused ${hits} of ${total} cached child lists (${hitRate}% hit rate)`));
+  }
+}
+
+// Load a tree from a previous JSON export instead of crawling. --max-depth
+// and --include-urls apply at render time.
+async function loadInputTree() {
+  let tree = treeFromJSON(await fs.readFile(options.input, 'utf8'));
+  tree = limitDepth(tree, options.maxDepth);
+  tree = filterTree(tree, options);
+  tree = limitDbRows(tree, options.maxDbRows);
+  if (!options.includeUrls) {
+    tree = withoutUrls(tree);
+  }
+  
+  console.log(chalk.blue(`Loaded ${tree.length} root items from ${options.input}`));
+  return tree;
+}
+
+// fetch implementation for the Notion client when recording or replaying a crawl
+function getFetch() {
+  if (options.record) {
+    return createRecordingFetch(options.record);
+  }
+  if (options.replay) {
+    return createReplayFetch(options.replay);
+  }
+  return undefined;
+}
+
+// Display the tree structure
+function displayTree(tree) {
+  if (tree.length > 0) {
+    console.log(renderConsole(tree, { show: options.show, icons: options.icons, schema: options.schema, counts: options.counts }));
+  }
+}
+
+// Generate output filename based on options
+function getOutputFilename(prefix = 'notion-tree') {
+  if (options.output) {
+    return options.output;
+  }
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${prefix}-${timestamp}`;
+}
+
 // Clean up spinner on exit
 process.on('exit', () => {
-  stopSpinner();
+  spinner.stop();
 });
 
 // Clean up spinner on ctrl+c
 process.on('SIGINT', () => {
-  stopSpinner();
+  spinner.stop();
   process.exit(0);
 });
 
 // Run the main function
-generateNotionTree(); 
\ No newline at end of file
+if (options.command === 'diff') {
+  compareExports();
+} else if (options.command === 'export-content') {
+  exportPageContent();
+} else if (['ls', 'find', 'stat'].includes(options.command)) {
+  runPathCommand();
+} else if (options.command === 'stats') {
+  showStats();
+} else if (options.command === 'audit') {
+  runAudit();
+} else if (options.stale) {
+  reportStalePages();
+} else if (options.interactive) {
+  browseInteractively();
+} else {
+  generateNotionTree();
+}
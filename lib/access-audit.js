@@ -0,0 +1,216 @@
+import chalk from 'chalk';
+import { getNodeUrl } from './notion-utils.js';
+import { formatNumber, pluralize } from './format-utils.js';
+import { formatPathSegment, formatTreePath } from './tree-path.js';
+
+// The pages and databases a list of blocks links to, through link_to_page
+// blocks and page or database mentions anywhere in them, including nested
+// blocks, table cells and captions
+function collectLinks(blocks) {
+  const links = [];
+  
+  (function scan(value) {
+    if (Array.isArray(value)) {
+      value.forEach(scan);
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+    
+    if (value.type === 'link_to_page' && value.link_to_page) {
+      const { page_id: pageId, database_id: databaseId } = value.link_to_page;
+      if (pageId || databaseId) {
+        links.push({ id: pageId || databaseId, type: pageId ? 'page' : 'database', kind: 'link_to_page' });
+      }
+    } else if (value.type === 'mention' && value.mention && value.mention[value.mention.type]) {
+      if (value.mention.type === 'page' || value.mention.type === 'database') {
+        links.push({ id: value.mention[value.mention.type].id, type: value.mention.type, kind: 'mention' });
+      }
+    }
+    Object.values(value).forEach(scan);
+  })(blocks);
+  
+  return links;
+}
+
+// Audit what the integration can and can't see, to explain pages missing
+// from the tree. `denied` holds what the crawler reported through its
+// onAccessDenied option while building the tree: pages, databases and
+// blocks whose children couldn't be read, and unshared parents of pages
+// shared without them. The content of every readable page is then scanned
+// for links and mentions of pages that aren't in the tree, which are
+// checked with the API. Blocks found unreadable during the scan are added
+// too, if `crawler` reports them to the same `denied` list. Resolves to the
+// `unreadable` pages, databases and blocks, the `orphans` (pages shared
+// without their parent), the `brokenLinks`, and `toShare`: every page,
+// database or block to share with the integration, with the reasons it's
+// needed.
+export async function auditAccess(tree, {
+  crawler,                // Crawler from createCrawler, to fetch page content and check links
+  denied = [],            // What the crawler passed to onAccessDenied
+  onProgress = () => {},  // Called with (scanned, total) page counts
+  onWarning = () => {},   // Called with a message when a page's content can't be scanned
+}) {
+  // Title paths of everything in the tree, by ID
+  const nodesById = new Map();
+  (function index(nodes, parentSegments) {
+    for (const node of nodes) {
+      const segments = [...parentSegments, formatPathSegment(node, nodes)];
+      nodesById.set(node.id, { node, path: formatTreePath(segments) });
+      index(node.children, segments);
+    }
+  })(tree, []);
+  
+  const describe = id => (nodesById.has(id) ? nodesById.get(id).path : id);
+  const toShare = new Map();
+  function needsSharing(id, type, reason) {
+    if (!toShare.has(id)) {
+      const known = nodesById.get(id);
+      toShare.set(id, {
+        id,
+        type,
+        title: known ? known.node.title : null,
+        url: type === 'block' ? null : getNodeUrl({ id, type, url: known && known.node.url }),
+        reasons: [],
+      });
+    }
+    toShare.get(id).reasons.push(reason);
+  }
+  
+  const unreadable = [];
+  const orphans = [];
+  const recorded = new Set();
+  // Record the issues in `denied` not recorded yet. A block can be reported
+  // by both the crawl and the scan.
+  function recordDenied() {
+    for (const issue of denied) {
+      const key = `${issue.id}/${issue.childId}`;
+      if (!recorded.has(key)) {
+        recorded.add(key);
+        recordIssue(issue);
+      }
+    }
+  }
+  function recordIssue(issue) {
+    if (issue.childId) {
+      orphans.push({ id: issue.childId, path: describe(issue.childId), parentId: issue.id, parentType: issue.type });
+      needsSharing(issue.id, issue.type, `Parent of ${describe(issue.childId)}, which is shared without it`);
+    } else {
+      unreadable.push({ id: issue.id, type: issue.type, path: describe(issue.id), code: issue.code, message: issue.message });
+      const what = { database: 'rows', block: 'nested blocks' }[issue.type] || 'content';
+      needsSharing(issue.id, issue.type, `Its ${what} can't be read (${issue.code})`);
+    }
+  }
+  recordDenied();
+  
+  // Scan the pages whose own blocks could be listed. Pages with an unreadable
+  // block are scanned too, for the links in the rest of their content.
+  const unreadableIds = new Set(unreadable.filter(item => item.type === 'page').map(item => item.id));
+  const pages = [...nodesById.values()].filter(({ node }) => node.type === 'page' && !unreadableIds.has(node.id));
+  const accessChecks = new Map();
+  const brokenLinks = [];
+  let scanned = 0;
+  
+  await Promise.all(pages.map(async ({ node, path }) => {
+    let blocks;
+    try {
+      blocks = await crawler.fetchBlockTree(node.id);
+    } catch (error) {
+      onWarning(`Error scanning content of page ${node.id}: ${error.message}`);
+      return;
+    } finally {
+      onProgress(++scanned, pages.length);
+    }
+    
+    for (const link of collectLinks(blocks)) {
+      if (nodesById.has(link.id) || link.id === node.id) {
+        continue;
+      }
+      if (!accessChecks.has(link.id)) {
+        accessChecks.set(link.id, crawler.isAccessible(link.id).catch(error => {
+          onWarning(`Error checking access to ${link.id}: ${error.message}`);
+          return true;
+        }));
+      }
+      if (!await accessChecks.get(link.id)) {
+        brokenLinks.push({ id: link.id, type: link.type, kind: link.kind, sourceId: node.id, sourcePath: path });
+      }
+    }
+  }));
+  
+  // Pages are scanned in parallel, so put the links back in tree order
+  const pageOrder = new Map(pages.map(({ node }, i) => [node.id, i]));
+  brokenLinks.sort((a, b) => pageOrder.get(a.sourceId) - pageOrder.get(b.sourceId));
+  for (const link of brokenLinks) {
+    const how = link.kind === 'link_to_page' ? 'Linked to' : 'Mentioned';
+    needsSharing(link.id, link.type, `${how} from ${link.sourcePath}`);
+  }
+  recordDenied();
+  
+  return { unreadable, orphans, brokenLinks, toShare: [...toShare.values()] };
+}
+
+function describeShare(item) {
+  const name = item.title ? `${item.title} (${item.type})` : `Unknown ${item.type} ${item.id}`;
+  return item.url ? `${name} ${item.url}` : name;
+}
+
+function describeSummary({ unreadable, orphans, brokenLinks }) {
+  return `${formatNumber(unreadable.length)} unreadable, `
+    + `${pluralize(orphans.length, 'page')} shared without their parent, `
+    + `${pluralize(brokenLinks.length, 'link')} to unshared pages`;
+}
+
+// Render an audit from auditAccess for the console: what to share, and why
+export function renderAuditConsole(audit) {
+  const lines = [describeSummary(audit)];
+  if (audit.toShare.length === 0) {
+    lines.push(chalk.green('Everything the tree links to is shared with the integration.'));
+    return lines.join('\n');
+  }
+  
+  lines.push('', chalk.bold(`Share with the integration (${audit.toShare.length}):`));
+  for (const item of audit.toShare) {
+    lines.push(chalk.yellow(`- ${describeShare(item)}`));
+    lines.push(...item.reasons.map(reason => chalk.gray(`    ${reason}`)));
+  }
+  return lines.join('\n');
+}
+
+// Render an audit from auditAccess as Markdown
+export function auditToMarkdown(audit, { generatedAt = new Date() } = {}) {
+  let content = '# Notion Integration Access Audit\n\n';
+  content += 'Generated on: ' + generatedAt.toLocaleString() + '\n\n';
+  content += `${describeSummary(audit)}.\n`;
+  
+  if (audit.toShare.length > 0) {
+    content += '\n## Share With the Integration\n\n';
+    for (const item of audit.toShare) {
+      const name = item.title || `Unknown ${item.type} ${item.id}`;
+      const link = item.url ? `[${name.replace(/[[\]]/g, '\\$&')}](${item.url})` : name;
+      content += `- ${link} (${item.type})\n`;
+      content += item.reasons.map(reason => `  - ${reason}\n`).join('');
+    }
+  }
+  
+  if (audit.unreadable.length > 0) {
+    content += '\n## Unreadable Pages and Databases\n\n';
+    content += audit.unreadable.map(item => `- ${item.path}: ${item.code}\n`).join('');
+  }
+  if (audit.orphans.length > 0) {
+    content += '\n## Shared Without Their Parent\n\n';
+    content += audit.orphans.map(item => `- ${item.path}: parent ${item.parentType} ${item.parentId}\n`).join('');
+  }
+  if (audit.brokenLinks.length > 0) {
+    content += '\n## Links to Unshared Pages\n\n';
+    content += audit.brokenLinks.map(link => `- ${link.sourcePath} → ${link.id} (${link.kind === 'link_to_page' ? 'link' : 'mention'})\n`).join('');
+  }
+  
+  return content;
+}
+
+// Serialize an audit from auditAccess as JSON
+export function auditToJSON(audit, { generatedAt = new Date() } = {}) {
+  return JSON.stringify({ generated: generatedAt.toISOString(), ...audit }, null, 2);
+}
@@ -0,0 +1,245 @@
+import { getPlainText } from './notion-utils.js';
+
+// Block types rendered as list items, which are separated by single line breaks
+const LIST_ITEM_TYPES = new Set(['bulleted_list_item', 'numbered_list_item', 'to_do']);
+
+// Characters with a meaning in Markdown text
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>~#|])/g, '\\$1');
+}
+
+// Indent every non-empty line of a block of text
+function indent(text, width) {
+  const padding = ' '.repeat(width);
+  return text.split('\n').map(line => (line ? padding + line : line)).join('\n');
+}
+
+// Wrap text in a Markdown marker (e.g. `**`), keeping surrounding whitespace
+// outside of it, where the marker would stop working
+function wrap(text, marker, closingMarker = marker) {
+  const [, leading, content, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  return content ? `${leading}${marker}${content}${closingMarker}${trailing}` : text;
+}
+
+// Fence code so that backticks inside it can't close the fence early
+function fenceCode(code, language = '') {
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+// URL of a file object (uploaded files, external links and file uploads)
+function getFileUrl(file) {
+  if (file.type === 'external') {
+    return file.external.url;
+  }
+  return file.file ? file.file.url : '';
+}
+
+// Convert Notion blocks to Markdown. Blocks are the objects returned by
+// blocks.children.list, with their nested blocks as `children` (as fetched by
+// the crawler's fetchBlockTree), or their `childrenError` in place of nested
+// blocks that couldn't be fetched. `resolvePage(id)` can return the `{ title,
+// href }` of a page or database, e.g. its file in an export; otherwise links
+// point to Notion.
+export function blocksToMarkdown(blocks, { resolvePage = () => null } = {}) {
+  function getPageHref(id, fallbackUrl) {
+    const page = resolvePage(id);
+    return (page && page.href) || fallbackUrl || `https://www.notion.so/${id.replace(/-/g, '')}`;
+  }
+
+  // Rich text with its annotations, links, mentions and inline equations
+  function renderRichText(richText = []) {
+    return richText.map(text => {
+      if (text.type === 'equation') {
+        return `$${text.equation.expression}$`;
+      }
+
+      if (text.type === 'mention') {
+        const { mention } = text;
+        if (mention.type === 'page' || mention.type === 'database') {
+          const id = mention[mention.type].id;
+          return `[${escapeMarkdown(text.plain_text)}](${getPageHref(id, text.href)})`;
+        }
+        if (mention.type === 'link_preview' || mention.type === 'link_mention') {
+          const url = mention[mention.type].url || mention[mention.type].href;
+          return `[${escapeMarkdown(text.plain_text)}](${url})`;
+        }
+        // Users, dates and template mentions read fine as their plain text
+        return escapeMarkdown(text.plain_text);
+      }
+
+      const { annotations = {} } = text;
+      let result = annotations.code ? wrap(text.plain_text, '`') : escapeMarkdown(text.plain_text);
+      if (annotations.bold) {
+        result = wrap(result, '**');
+      }
+      if (annotations.italic) {
+        result = wrap(result, '_');
+      }
+      if (annotations.strikethrough) {
+        result = wrap(result, '~~');
+      }
+      if (annotations.underline) {
+        result = wrap(result, '<u>', '</u>');
+      }
+      if (text.href) {
+        result = `[${result}](${text.href})`;
+      }
+      return result;
+    }).join('');
+  }
+  
+  // A link to an embedded file, image, bookmark and the like
+  function renderLink(block, url) {
+    const caption = renderRichText(block[block.type].caption);
+    const name = block[block.type].name;
+    return `[${caption || (name && escapeMarkdown(name)) || url}](${url})`;
+  }
+  
+  function renderTable(block) {
+    // Pipes are already escaped as Markdown text
+    const rows = (block.children || []).map(row => row.table_row.cells.map(cell => (
+      renderRichText(cell).replace(/\n/g, '<br>')
+    )));
+    const width = block.table.table_width || (rows[0] || []).length;
+    const formatRow = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    
+    // Markdown tables need a header row, so tables without one get an empty one
+    const header = (block.table.has_column_header && rows.shift()) || [];
+    return [
+      formatRow(header),
+      formatRow(Array(width).fill('---')),
+      ...rows.map(formatRow),
+    ].join('\n');
+  }
+  
+  function renderChildren(block) {
+    if (block.childrenError) {
+      return `<!-- Nested blocks could not be fetched: ${block.childrenError.replace(/--/g, '- -')} -->`;
+    }
+    return block.children && block.children.length > 0 ? renderBlocks(block.children) : '';
+  }
+  
+  // Render a list item with its nested blocks indented below it
+  function renderListItem(marker, block) {
+    const text = `${marker}${renderRichText(block[block.type].rich_text)}`;
+    const children = renderChildren(block);
+    return children ? `${text}\n${indent(children, marker.length)}` : text;
+  }
+  
+  // Render a block as a quote, with its nested blocks quoted along with it
+  function renderQuote(text, block) {
+    const children = renderChildren(block);
+    const content = children ? `${text}\n\n${children}` : text;
+    return content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+  }
+  
+  function renderBlock(block, listNumber) {
+    const value = block[block.type] || {};
+    
+    switch (block.type) {
+      case 'paragraph': {
+        const children = renderChildren(block);
+        const text = renderRichText(value.rich_text);
+        return children ? `${text}\n\n${children}` : text;
+      }
+      case 'heading_1':
+      case 'heading_2':
+      case 'heading_3': {
+        const heading = `${'#'.repeat(Number(block.type.slice(-1)))} ${renderRichText(value.rich_text)}`;
+        const children = renderChildren(block);
+        return children ? `${heading}\n\n${children}` : heading;
+      }
+      case 'bulleted_list_item':
+        return renderListItem('- ', block);
+      case 'numbered_list_item':
+        return renderListItem(`${listNumber}. `, block);
+      case 'to_do':
+        return renderListItem(value.checked ? '- [x] ' : '- [ ] ', block);
+      case 'toggle': {
+        const children = renderChildren(block);
+        return `<details>\n<summary>${renderRichText(value.rich_text)}</summary>\n\n${children ? `${children}\n\n` : ''}</details>`;
+      }
+      case 'quote':
+        return renderQuote(renderRichText(value.rich_text), block);
+      case 'callout': {
+        const icon = value.icon && value.icon.type === 'emoji' ? `${value.icon.emoji} ` : '';
+        return renderQuote(`${icon}${renderRichText(value.rich_text)}`, block);
+      }
+      case 'code': {
+        const caption = renderRichText(value.caption);
+        const code = fenceCode(getPlainText(value.rich_text), value.language === 'plain text' ? '' : value.language);
+        return caption ? `${code}\n\n${caption}` : code;
+      }
+      case 'equation':
+        return `$$\n${value.expression}\n$$`;
+      case 'divider':
+        return '---';
+      case 'image': {
+        const url = getFileUrl(value);
+        return `![${getPlainText(value.caption || []).replace(/[[\]]/g, '\\$&')}](${url})`;
+      }
+      case 'video':
+      case 'audio':
+      case 'file':
+      case 'pdf':
+        return renderLink(block, getFileUrl(value));
+      case 'bookmark':
+      case 'embed':
+      case 'link_preview':
+        return renderLink(block, value.url);
+      case 'table':
+        return renderTable(block);
+      case 'child_page':
+        return `[${escapeMarkdown(value.title)}](${getPageHref(block.id)})`;
+      case 'child_database':
+        return `[${escapeMarkdown(value.title)} (Database)](${getPageHref(block.id)})`;
+      case 'link_to_page': {
+        const id = value.page_id || value.database_id;
+        if (!id) {
+          return '';
+        }
+        const page = resolvePage(id);
+        return `↗ [${escapeMarkdown(page ? page.title : 'Linked page')}](${getPageHref(id)})`;
+      }
+      case 'column_list':
+      case 'column':
+      case 'synced_block':
+        // Layout blocks: their content is rendered one after another
+        return renderChildren(block);
+      case 'table_of_contents':
+      case 'breadcrumb':
+        return '';
+      default:
+        return value.rich_text ? renderRichText(value.rich_text) : `<!-- Unsupported block: ${block.type} -->`;
+    }
+  }
+  
+  // Render sibling blocks, numbering consecutive numbered list items and
+  // keeping list items together
+  function renderBlocks(siblings) {
+    let result = '';
+    let listNumber = 0;
+    let previousType = null;
+    
+    for (const block of siblings) {
+      listNumber = block.type === 'numbered_list_item' ? listNumber + 1 : 0;
+      const markdown = renderBlock(block, listNumber);
+      if (!markdown) {
+        continue;
+      }
+      
+      if (result) {
+        result += LIST_ITEM_TYPES.has(block.type) && LIST_ITEM_TYPES.has(previousType) ? '\n' : '\n\n';
+      }
+      result += markdown;
+      previousType = block.type;
+    }
+    
+    return result;
+  }
+  
+  const markdown = renderBlocks(blocks);
+  return markdown ? `${markdown}\n` : '';
+}
@@ -0,0 +1,380 @@
+import readline from 'readline';
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+import { getNodeUrl } from './notion-utils.js';
+import { formatDate } from './format-utils.js';
+
+// Width of the side panel with the selected node's details, and the terminal
+// width below which it's hidden
+const PANEL_WIDTH = 40;
+const MIN_WIDTH_FOR_PANEL = 80;
+
+const HELP = '↑↓ move  →← expand/collapse  / filter  u copy URL  i copy ID  o open  q quit';
+
+// Terminal control sequences
+const ENTER_ALT_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_ALT_SCREEN = '\x1b[?25h\x1b[?1049l';
+const CLEAR_SCREEN = '\x1b[H\x1b[2J';
+
+// Run a command that reads `text` from stdin
+function runWithInput(command, args, text) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve() : reject(new Error(`${command} exited with code ${code}`))));
+    child.stdin.end(text);
+  });
+}
+
+// Copy text with the platform's clipboard tool, falling back to the OSC 52
+// escape sequence that most terminal emulators understand
+async function copyToClipboard(text, output) {
+  const command = process.platform === 'darwin' ? ['pbcopy', []]
+    : process.platform === 'win32' ? ['clip', []]
+    : process.env.WAYLAND_DISPLAY ? ['wl-copy', []]
+    : ['xclip', ['-selection', 'clipboard']];
+  
+  try {
+    await runWithInput(command[0], command[1], text);
+  } catch (error) {
+    output.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+  }
+}
+
+// Open a URL in the default browser
+function openInBrowser(url) {
+  const [command, args] = process.platform === 'darwin' ? ['open', [url]]
+    : process.platform === 'win32' ? ['cmd', ['/c', 'start', '', url]]
+    : ['xdg-open', [url]];
+  
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', reject);
+    child.on('spawn', () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+// Cut a plain string to `width` columns and pad it to exactly that width
+function fit(text, width) {
+  const chars = [...text];
+  if (chars.length > width) {
+    return chars.slice(0, Math.max(0, width - 1)).join('') + '…';
+  }
+  return text + ' '.repeat(width - chars.length);
+}
+
+// Lines of the side panel describing a node
+function describeNode(node, nodeState) {
+  const lines = [
+    node.title,
+    '',
+    `Type: ${node.type}`,
+    `ID: ${node.id}`,
+  ];
+  
+  const url = getNodeUrl(node);
+  if (url) {
+    lines.push(`URL: ${url}`);
+  }
+  lines.push(`Children: ${nodeState.loaded ? node.children.length : 'not loaded'}`);
+  
+  const metadata = node.metadata;
+  if (metadata) {
+    if (metadata.icon) {
+      lines.push(`Icon: ${metadata.icon.type === 'emoji' ? metadata.icon.emoji : metadata.icon.type}`);
+    }
+    if (metadata.createdTime) {
+      lines.push(`Created: ${formatDate(metadata.createdTime)}${metadata.createdBy ? ` by ${metadata.createdBy}` : ''}`);
+    }
+    if (metadata.lastEditedTime) {
+      lines.push(`Edited: ${formatDate(metadata.lastEditedTime)}${metadata.lastEditedBy ? ` by ${metadata.lastEditedBy}` : ''}`);
+    }
+    if (metadata.archived) {
+      lines.push('Archived');
+    }
+    if (metadata.cover) {
+      lines.push('Has a cover image');
+    }
+  }
+  
+  return lines;
+}
+
+// Open a full-screen terminal browser over the tree. Nodes can be expanded
+// and collapsed, filtered by title, and their URL or ID copied or opened.
+// With `loadChildren`, a node's children are fetched the first time it's
+// expanded (unless it already has some), so the tree can be explored without
+// crawling it all up front. Resolves when the user quits.
+export function browseTree(tree, {
+  loadChildren = null,           // async node => child TreeNodes, for lazily fetched trees
+  input = process.stdin,         // Readable stream with the user's key presses
+  output = process.stdout,       // Writable stream for the screen, ideally a TTY
+  copy = text => copyToClipboard(text, output),
+  open = openInBrowser,
+} = {}) {
+  const nodeStates = new Map();
+  let cursor = 0;
+  let scrollOffset = 0;
+  let filter = '';
+  let isEditingFilter = false;
+  let status = '';
+  let isClosed = false;
+  
+  function getState(node) {
+    if (!nodeStates.has(node)) {
+      nodeStates.set(node, {
+        expanded: false,
+        loaded: !loadChildren || node.children.length > 0,
+        loading: false,
+      });
+    }
+    return nodeStates.get(node);
+  }
+  
+  // The rows currently on display: expanded nodes' children, or, while
+  // filtering, every loaded node matching the filter along with its ancestors
+  function getVisibleRows() {
+    const rows = [];
+    const query = filter.toLowerCase();
+    const matches = new Map();
+    
+    function subtreeMatches(node) {
+      if (!matches.has(node)) {
+        matches.set(node, node.title.toLowerCase().includes(query) || node.children.some(subtreeMatches));
+      }
+      return matches.get(node);
+    }
+    
+    (function walk(nodes, depth, parentRow) {
+      for (const node of nodes) {
+        if (query && !subtreeMatches(node)) {
+          continue;
+        }
+        
+        const row = { node, depth, parentRow };
+        rows.push(row);
+        
+        const showChildren = query ? node.children.some(subtreeMatches) : getState(node).expanded;
+        if (showChildren) {
+          walk(node.children, depth + 1, row);
+        }
+      }
+    })(tree, 0, null);
+    
+    return rows;
+  }
+  
+  function formatRow({ node, depth }, width, isSelected) {
+    const nodeState = getState(node);
+    const hasChildren = !nodeState.loaded || node.children.length > 0;
+    const isOpen = nodeState.expanded || (filter && node.children.length > 0);
+    const marker = nodeState.loading ? '…' : hasChildren ? (isOpen ? '▾' : '▸') : ' ';
+    const title = node.type === 'database' ? `${node.title} (Database)` : node.title;
+    const text = fit(`${'  '.repeat(depth)}${marker} ${title}`, width);
+    
+    if (isSelected) {
+      return chalk.inverse(text);
+    }
+    if (node.type === 'database') {
+      return chalk.cyan(text);
+    }
+    return node.type === 'group' ? chalk.yellow(text) : chalk.green(text);
+  }
+  
+  function render() {
+    // Children can finish loading after the user has quit
+    if (isClosed) {
+      return;
+    }
+    
+    const width = output.columns || 80;
+    const height = output.rows || 24;
+    const treeHeight = Math.max(1, height - 2);
+    const hasPanel = width >= MIN_WIDTH_FOR_PANEL;
+    const treeWidth = hasPanel ? width - PANEL_WIDTH - 1 : width;
+    const rows = getVisibleRows();
+    
+    cursor = Math.max(0, Math.min(cursor, rows.length - 1));
+    if (cursor < scrollOffset) {
+      scrollOffset = cursor;
+    } else if (cursor >= scrollOffset + treeHeight) {
+      scrollOffset = cursor - treeHeight + 1;
+    }
+    
+    const selected = rows[cursor];
+    const panelLines = selected ? describeNode(selected.node, getState(selected.node)) : [];
+    const lines = [chalk.inverse(fit(` Notion Tree  ${HELP}`, width))];
+    
+    for (let i = 0; i < treeHeight; i++) {
+      const row = rows[scrollOffset + i];
+      let line = row ? formatRow(row, treeWidth, scrollOffset + i === cursor) : ' '.repeat(treeWidth);
+      if (hasPanel) {
+        line += chalk.gray('│') + fit(panelLines[i] || '', PANEL_WIDTH);
+      }
+      lines.push(line);
+    }
+    
+    if (isEditingFilter || filter) {
+      lines.push(fit(`/${filter}${isEditingFilter ? '▏' : ''}  ${rows.length === 0 ? 'no matches' : ''}`, width));
+    } else {
+      lines.push(fit(status || (rows.length === 0 ? 'The tree is empty' : ''), width));
+    }
+    
+    output.write(CLEAR_SCREEN + lines.join('\n'));
+  }
+  
+  async function expand(row) {
+    const { node } = row;
+    const nodeState = getState(node);
+    
+    if (!nodeState.loaded) {
+      if (nodeState.loading) {
+        return;
+      }
+      nodeState.loading = true;
+      status = `Loading children of ${node.title}...`;
+      render();
+      try {
+        for (const child of await loadChildren(node)) {
+          node.addChild(child);
+        }
+        nodeState.loaded = true;
+        nodeState.expanded = true;
+        status = '';
+      } catch (error) {
+        status = `Couldn't load children of ${node.title}: ${error.message}`;
+      }
+      nodeState.loading = false;
+    } else if (nodeState.expanded && node.children.length > 0) {
+      cursor++;
+    } else {
+      nodeState.expanded = true;
+    }
+  }
+  
+  function collapse(row, rows) {
+    const nodeState = getState(row.node);
+    if (nodeState.expanded && !filter) {
+      nodeState.expanded = false;
+    } else if (row.parentRow) {
+      cursor = rows.indexOf(row.parentRow);
+    }
+  }
+  
+  // Run a copy/open action, reporting the outcome in the status line
+  async function runAction(action, successMessage) {
+    try {
+      await action();
+      status = successMessage;
+    } catch (error) {
+      status = `Failed: ${error.message}`;
+    }
+  }
+  
+  return new Promise(resolve => {
+    function quit() {
+      isClosed = true;
+      input.removeListener('keypress', onKeypress);
+      output.removeListener('resize', render);
+      if (input.isTTY) {
+        input.setRawMode(false);
+      }
+      input.pause();
+      output.write(LEAVE_ALT_SCREEN);
+      resolve();
+    }
+    
+    function editFilter(str, key) {
+      if (key.name === 'return') {
+        isEditingFilter = false;
+      } else if (key.name === 'escape') {
+        isEditingFilter = false;
+        filter = '';
+      } else if (key.name === 'backspace') {
+        filter = filter.slice(0, -1);
+      } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+        filter += str;
+      }
+      cursor = 0;
+    }
+    
+    async function onKeypress(str, key = {}) {
+      if (key.ctrl && key.name === 'c') {
+        quit();
+        return;
+      }
+      
+      if (isEditingFilter) {
+        editFilter(str, key);
+        render();
+        return;
+      }
+      
+      const rows = getVisibleRows();
+      const row = rows[cursor];
+      const pageSize = Math.max(1, (output.rows || 24) - 3);
+      status = '';
+      
+      if (key.name === 'up' || str === 'k') {
+        cursor--;
+      } else if (key.name === 'down' || str === 'j') {
+        cursor++;
+      } else if (key.name === 'pageup') {
+        cursor -= pageSize;
+      } else if (key.name === 'pagedown') {
+        cursor += pageSize;
+      } else if (key.name === 'home') {
+        cursor = 0;
+      } else if (key.name === 'end') {
+        cursor = rows.length - 1;
+      } else if (str === '/') {
+        isEditingFilter = true;
+      } else if (key.name === 'escape') {
+        filter = '';
+      } else if (str === 'q') {
+        quit();
+        return;
+      } else if (row) {
+        if (key.name === 'right' || key.name === 'return' || str === 'l') {
+          await expand(row);
+        } else if (key.name === 'left' || str === 'h') {
+          collapse(row, rows);
+        } else if (key.name === 'space') {
+          const nodeState = getState(row.node);
+          if (nodeState.expanded) {
+            nodeState.expanded = false;
+          } else {
+            await expand(row);
+          }
+        } else if (str === 'i') {
+          await runAction(() => copy(row.node.id), `Copied ID ${row.node.id}`);
+        } else if (str === 'u' || str === 'o') {
+          const url = getNodeUrl(row.node);
+          if (!url) {
+            status = `${row.node.title} has no URL`;
+          } else if (str === 'u') {
+            await runAction(() => copy(url), `Copied ${url}`);
+          } else {
+            await runAction(() => open(url), `Opened ${url}`);
+          }
+        }
+      }
+      
+      render();
+    }
+    
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) {
+      input.setRawMode(true);
+    }
+    input.on('keypress', onKeypress);
+    input.resume();
+    output.on('resize', render);
+    
+    output.write(ENTER_ALT_SCREEN);
+    render();
+  });
+}
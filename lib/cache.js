@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Default cache location, relative to the working directory
+export const DEFAULT_CACHE_DIR = '.notion-tree-cache';
+
+// Bump when the shape of cached entries changes, to drop older caches
+const CACHE_FORMAT = 1;
+const CACHE_FILE = 'children.json';
+
+// Notion rounds last_edited_time down to the minute, so a child added in the
+// same minute as an earlier edit doesn't change the version
+const EDIT_TIME_PRECISION = 60 * 1000;
+
+// Create an on-disk cache of the child lists of pages and databases. Each
+// entry is stored with a version (derived from last_edited_time) and is only
+// reused while the version still matches. Child lists of pages edited in the
+// last minute aren't kept, since their version may not change with the next
+// edit. With `refresh` set, existing entries are ignored and the cache is
+// rebuilt.
+export function createTreeCache(dir = DEFAULT_CACHE_DIR, { refresh = false } = {}) {
+  const filePath = path.join(dir, CACHE_FILE);
+  const loaded = refresh ? Promise.resolve({}) : load();
+  let hits = 0;
+  let misses = 0;
+  
+  async function load() {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return data.format === CACHE_FORMAT ? data.entries : {};
+    } catch (error) {
+      // A missing or unreadable cache just means starting from scratch
+      return {};
+    }
+  }
+  
+  // Return the cached children of `id` if they're still at `version`. Entries
+  // saved without URLs can't be used when URLs are wanted.
+  async function get(id, version, { includeUrls = false } = {}) {
+    const entries = await loaded;
+    const entry = entries[id];
+    
+    if (!entry || entry.version !== version || (includeUrls && !entry.includeUrls)) {
+      misses++;
+      return null;
+    }
+    
+    hits++;
+    return entry.children.map(child => ({ ...child, url: includeUrls ? child.url : null }));
+  }
+  
+  // Store the children of `id` at `version`, unless `editedTime` (the latest
+  // last_edited_time the version comes from) is too recent to trust
+  async function set(id, version, children, { includeUrls = false, editedTime = null } = {}) {
+    const entries = await loaded;
+    if (editedTime && Date.parse(editedTime) >= Date.now() - EDIT_TIME_PRECISION) {
+      delete entries[id];
+      return;
+    }
+    entries[id] = { version, includeUrls, children };
+  }
+  
+  // Write the cache to disk, keeping entries that weren't used by this crawl
+  async function save() {
+    const entries = await loaded;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ format: CACHE_FORMAT, entries }), 'utf8');
+  }
+  
+  function getStats() {
+    return { hits, misses };
+  }
+  
+  return { get, set, save, getStats };
+}
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import chalk from 'chalk';
+
+// Loading animation frames
+const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+// Create the progress spinner shared by the command-line scripts. With
+// `quiet` set, every method is a no-op.
+export function createSpinner({ quiet = false } = {}) {
+  let frameIndex = 0;
+  let spinnerInterval;
+  let currentStatusMessage = '';
+  let processedItems = 0;
+  let totalItems = 0;
+  let isSpinnerActive = false;
+  
+  // Start spinner animation
+  function start(initialMessage = 'Processing...') {
+    if (quiet) return;
+    
+    currentStatusMessage = initialMessage;
+    isSpinnerActive = true;
+    
+    // Clear the current line before starting
+    process.stdout.write('\r\x1b[K');
+    
+    spinnerInterval = setInterval(() => {
+      const frame = frames[frameIndex];
+      frameIndex = (frameIndex + 1) % frames.length;
+      
+      // Build progress message
+      let progressMessage = '';
+      if (totalItems > 0) {
+        const percentage = Math.round((processedItems / totalItems) * 100);
+        progressMessage = `[${processedItems}/${totalItems}, ${percentage}%] `;
+      }
+      
+      // Clear the current line and update with new spinner frame and message
+      process.stdout.write(`\r${chalk.cyan(frame)} ${progressMessage}${currentStatusMessage}`);
+    }, 80);
+  }
+  
+  // Update spinner message
+  function update(message) {
+    if (quiet) return;
+    currentStatusMessage = message;
+  }
+  
+  // Update progress counter
+  function setProgress(processed, total = null) {
+    if (quiet) return;
+    processedItems = processed;
+    if (total !== null) {
+      totalItems = total;
+    }
+  }
+  
+  // Stop spinner animation
+  function stop(finalMessage = null) {
+    if (!isSpinnerActive || quiet) return;
+    
+    clearInterval(spinnerInterval);
+    isSpinnerActive = false;
+    
+    // Clear the current line
+    process.stdout.write('\r\x1b[K');
+    
+    // Print final message if provided
+    if (finalMessage) {
+      console.log(finalMessage);
+    }
+  }
+  
+  return { start, update, setProgress, stop };
+}
+
+// Write an export to disk and report the result
+export async function writeExport(filePath, content, formatName) {
+  try {
+    await fs.writeFile(filePath, content, 'utf8');
+    console.log(chalk.green(`✅ Tree exported to ${formatName} file: ${filePath}`));
+  } catch (error) {
+    console.error(chalk.red(`Error exporting tree to ${formatName}:`), error.message);
+  }
+}
@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { blocksToMarkdown } from './block-markdown.js';
+import { formatCSV } from './data-renderers.js';
+import { getPropertyText } from './notion-utils.js';
+
+// Longest file or folder name taken from a title
+const MAX_NAME_LENGTH = 100;
+
+// Turn a title into a file name that's valid on every platform
+function toFileName(title) {
+  const name = title
+    .replace(/[/\\:*?"<>|\x00-\x1f]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+    .replace(/[. ]+$/, '');
+  return name || 'Untitled';
+}
+
+// Work out where each node is written, as paths relative to the export
+// directory. Pages with children, databases and groups become folders with an
+// index.md, other pages a single .md file, and databases also get a CSV of
+// their rows next to their folder. Siblings whose names clash get their ID
+// appended.
+function planFiles(tree) {
+  const files = new Map();
+  
+  (function plan(nodes, folder) {
+    const usedNames = new Set(['index']);
+    for (const node of nodes) {
+      let name = toFileName(node.title);
+      if (usedNames.has(name.toLowerCase())) {
+        name = `${name} ${node.id.replace(/-/g, '').slice(0, 8)}`;
+      }
+      usedNames.add(name.toLowerCase());
+      
+      const nodePath = folder ? `${folder}/${name}` : name;
+      const isFolder = node.type !== 'page' || node.children.length > 0;
+      files.set(node, {
+        markdown: isFolder ? `${nodePath}/index.md` : `${nodePath}.md`,
+        csv: node.type === 'database' ? `${nodePath}.csv` : null,
+      });
+      if (isFolder) {
+        plan(node.children, nodePath);
+      }
+    }
+  })(tree, '');
+  
+  return files;
+}
+
+// A relative Markdown link target from one exported file to another
+function getRelativeLink(fromFile, toFile) {
+  const relativePath = path.posix.relative(path.posix.dirname(fromFile), toFile);
+  return relativePath
+    .split('/')
+    .map(segment => encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29'))
+    .join('/');
+}
+
+// A CSV of database rows with one column per property, the title first
+function toPropertiesCSV(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const [name, property] of Object.entries(row.properties)) {
+      if (!columns.includes(name)) {
+        columns[property.type === 'title' ? 'unshift' : 'push'](name);
+      }
+    }
+  }
+  
+  return formatCSV([
+    columns,
+    ...rows.map(row => columns.map(name => getPropertyText(row.properties[name]))),
+  ]);
+}
+
+// Export the content of every page in the tree as a directory of Markdown
+// files mirroring the tree (see planFiles), with an index.md at the top
+// linking to everything. Links between exported pages point to their files.
+// Pages and databases that can't be fetched are reported through
+// `onWarning` and exported without their content. Resolves to the number of
+// pages and databases exported.
+export async function exportContent(tree, {
+  crawler,                // Crawler from createCrawler, to fetch page content and database rows
+  dir,                    // Directory to write the export to
+  concurrency = 1,        // Siblings exported in parallel; give the crawler the same concurrency
+  generatedAt = new Date(),
+  onProgress = () => {},  // Called with (exported, total) node counts
+  onWarning = () => {},   // Called with a message when a page or database can't be fetched
+}) {
+  const files = planFiles(tree);
+  const filesById = new Map([...files].map(([node, file]) => [node.id, { title: node.title, ...file }]));
+  const counts = { pages: 0, databases: 0 };
+  let exported = 0;
+  
+  async function write(file, content) {
+    const filePath = path.join(dir, ...file.split('/'));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+  
+  // A nested Markdown list linking to the given nodes and their descendants
+  function renderIndex(nodes, fromFile, level = 0) {
+    return nodes.map(node => {
+      const type = node.type === 'database' ? ' (Database)' : '';
+      const title = node.title.replace(/[[\]]/g, '\\$&');
+      const line = `${'  '.repeat(level)}- [${title}${type}](${getRelativeLink(fromFile, files.get(node).markdown)})\n`;
+      return line + renderIndex(node.children, fromFile, level + 1);
+    }).join('');
+  }
+  
+  async function exportPage(node, file) {
+    let content = `# ${node.title}\n\n`;
+    try {
+      const blocks = await crawler.fetchBlockTree(node.id);
+      content += blocksToMarkdown(blocks, {
+        resolvePage: id => {
+          const target = filesById.get(id);
+          return target && { title: target.title, href: getRelativeLink(file.markdown, target.markdown) };
+        },
+      });
+    } catch (error) {
+      onWarning(`Error exporting content of page ${node.id}: ${error.message}`);
+    }
+    await write(file.markdown, content);
+    counts.pages++;
+  }
+  
+  async function exportDatabase(node, file) {
+    try {
+      await write(file.csv, toPropertiesCSV(await crawler.fetchDatabaseRows(node.id)));
+    } catch (error) {
+      onWarning(`Error exporting rows of database ${node.id}: ${error.message}`);
+    }
+    
+    const csvLink = getRelativeLink(file.markdown, file.csv);
+    let content = `# ${node.title} (Database)\n\n`;
+    content += `Row properties: [${path.posix.basename(file.csv)}](${csvLink})\n\n`;
+    content += renderIndex(node.children, file.markdown);
+    await write(file.markdown, content);
+    counts.databases++;
+  }
+  
+  async function exportNode(node) {
+    const file = files.get(node);
+    if (node.type === 'database') {
+      await exportDatabase(node, file);
+    } else if (node.type === 'group') {
+      await write(file.markdown, `# ${node.title}\n\n${renderIndex(node.children, file.markdown)}`);
+    } else {
+      await exportPage(node, file);
+    }
+    
+    exported++;
+    onProgress(exported, files.size);
+    await exportNodes(node.children);
+  }
+  
+  // With a concurrency above 1 siblings are exported in parallel, as the
+  // crawler builds the tree. Every file's path is planned up front, so the
+  // export comes out identical to a sequential run.
+  async function exportNodes(nodes) {
+    if (concurrency > 1) {
+      await Promise.all(nodes.map(exportNode));
+      return;
+    }
+    
+    for (const node of nodes) {
+      await exportNode(node);
+    }
+  }
+  
+  await fs.mkdir(dir, { recursive: true });
+  await exportNodes(tree);
+  
+  let index = '# Notion Workspace Export\n\n';
+  index += `Generated on: ${generatedAt.toLocaleString()}\n\n`;
+  index += renderIndex(tree, 'index.md');
+  await write('index.md', index);
+  
+  return counts;
+}
@@ -0,0 +1,799 @@
+import { Client, APIErrorCode, LogLevel } from '@notionhq/client';
+import { TreeNode } from './tree-node.js';
+import { createRequestScheduler } from './scheduler.js';
+import { createTreeFilter } from './tree-filter.js';
+import { filterTree } from './tree-transforms.js';
+import { getPageTitle, getDatabaseTitle, getMetadata, parseNotionId } from './notion-utils.js';
+
+// Synthetic root node for pages and databases whose parent is inaccessible
+export const ORPHAN_GROUP_ID = 'shared-without-parent';
+export const ORPHAN_GROUP_TITLE = 'Shared without parent';
+
+// Block types whose children can never hold subpages, so we don't descend into them
+const NON_CONTAINER_BLOCK_TYPES = new Set(['table']);
+
+// API error codes for objects that aren't shared with the integration: the
+// API answers 404 for objects it hides and 403 for those it refuses
+const ACCESS_ERROR_CODES = new Set([APIErrorCode.ObjectNotFound, APIErrorCode.RestrictedResource]);
+
+// Whether an error means the integration has no access to the object
+export function isAccessError(error) {
+  return ACCESS_ERROR_CODES.has(error.code);
+}
+
+const DEFAULT_OPTIONS = {
+  notion: null,        // Notion client to use; created from `auth` if not given
+  auth: undefined,     // Notion integration token
+  baseUrl: undefined,  // Notion API base URL, for proxies and the offline test server
+  fetch: undefined,    // fetch implementation for the client, e.g. to record or replay a crawl
+  roots: [],           // Page/database IDs or URLs to start from instead of the workspace
+  maxDepth: Infinity,  // Maximum depth to traverse
+  includeUrls: false,  // Include URLs in the tree nodes
+  metadata: false,     // Set icon, cover, timestamps, authors, archived state and parent as node.metadata
+  icons: false,        // Set only the icon as node.metadata, for titles prefixed with icons
+  schema: false,       // Set each database's property objects as node.schema
+  concurrency: 1,      // Maximum number of parallel Notion API requests
+  requestsPerSecond: undefined, // Request rate limit shared by all parallel requests (default: 3)
+  cache: null,         // Child list cache from createTreeCache, to skip unchanged pages and databases
+  include: [],         // Title/path patterns of nodes to keep, along with their ancestors
+  exclude: [],         // Title/path patterns of nodes to skip, along with their subtrees
+  type: null,          // Only keep pages or databases (and their ancestors)
+  excludeDbRows: false, // Keep databases but don't fetch their rows
+  maxDbRows: Infinity, // Rows crawled per database; the rest are only counted, as node.rowCount
+  dbRowSorts: [],      // Notion query sorts for database rows, e.g. [{ timestamp: 'last_edited_time', direction: 'descending' }]
+  onStatus: () => {},        // Called with a human-readable status message
+  onProgress: () => {},      // Called with (processed, total) node counts
+  onWarning: () => {},       // Called with a message when part of the tree can't be fetched
+  onRootsFound: () => {},    // Called with the root items before the tree is built
+  onAccessDenied: () => {},  // Called with { id, type, code, message, childId } for each unshared page, database or block found
+};
+
+// Create a crawler over a Notion workspace. The returned functions share one
+// client, request scheduler and set of progress counters.
+export function createCrawler(crawlerOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...crawlerOptions };
+  // Failed requests are reported through onWarning, or expected (database IDs
+  // on the pages endpoint, retried rate limits), so the client only logs errors
+  const notion = options.notion || new Client({
+    auth: options.auth,
+    baseUrl: options.baseUrl,
+    fetch: options.fetch,
+    logLevel: LogLevel.ERROR,
+  });
+  const { onStatus: updateStatus, onWarning: warn } = options;
+  const notionRequest = createRequestScheduler({
+    concurrency: options.concurrency,
+    requestsPerSecond: options.requestsPerSecond,
+    onRateLimited: delay => updateStatus(`Rate limited by Notion, retrying in ${Math.ceil(delay / 1000)}s...`),
+  });
+  const treeFilter = createTreeFilter(options);
+  
+  // Counters for progress tracking; the total grows as database rows and
+  // child pages are discovered
+  let totalNodesProcessed = 0;
+  let totalItems = 0;
+  
+  // What workspace search found, used to tell which cached child lists are
+  // still current
+  const searchResultsById = new Map();
+  const cacheVersions = new Map();
+  const cacheEditTimes = new Map();
+  
+  // Pages and databases whose children couldn't all be fetched, which must
+  // not be cached
+  const incompleteIds = new Set();
+  
+  // Owner resolved for each block by resolveOwnerId, so pages in the same
+  // toggle or column only walk up through it once
+  const blockOwners = new Map();
+  
+  // Tell options.onAccessDenied about a page, database or container block
+  // whose children couldn't be fetched for lack of access. Unshared parents of
+  // pages shared without them are reported by findOrphanedItems, with code
+  // "parent_not_shared" and the shared page as childId.
+  function reportAccessError(id, type, error) {
+    if (isAccessError(error)) {
+      options.onAccessDenied({ id, type, code: error.code, message: error.message, childId: null });
+    }
+  }
+  
+  function updateProgress(processed, total = totalItems) {
+    totalItems = total;
+    options.onProgress(processed, total);
+  }
+  
+  // Build the complete tree, starting from options.roots or the whole workspace
+  async function buildTree() {
+    const rootItems = await resolveRootItems();
+    options.onRootsFound(rootItems);
+    updateStatus('Building tree structure...');
+    
+    const tree = await buildSiblingTrees(rootItems, 0, []);
+    if (options.cache) {
+      await options.cache.save();
+    }
+    
+    // Excluded subtrees were never crawled, but which nodes the include
+    // patterns and type select is only known once their descendants are
+    return treeFilter.isSelective ? filterTree(tree, options) : tree;
+  }
+  
+  // Attach the metadata of a Notion object to an item, if it was asked for:
+  // all of it, or just the icon
+  function withMetadata(item, object) {
+    if (options.metadata) {
+      item.metadata = getMetadata(object);
+    } else if (options.icons) {
+      item.metadata = { icon: object.icon || null };
+    }
+    return item;
+  }
+  
+  // Find the root items in options.roots, or in the whole workspace
+  async function resolveRootItems() {
+    const rootItems = options.roots.length > 0
+      ? await fetchSpecifiedRoots(options.roots)
+      : await fetchRootItems();
+    
+    // Starting from given roots skips the search, but the cache needs it to
+    // know which pages and databases were edited
+    if (options.cache && options.roots.length > 0) {
+      await searchWorkspace();
+    }
+    
+    return rootItems;
+  }
+  
+  // Fetch the root pages and databases as TreeNodes without their children,
+  // for callers that expand the tree lazily with fetchChildNodes. The group
+  // of pages shared without their parent comes with its members.
+  async function fetchRootNodes() {
+    const rootItems = await resolveRootItems();
+    options.onRootsFound(rootItems);
+    
+    return rootItems.map(item => {
+      const node = createNode(item);
+      if (item.type === 'group') {
+        for (const child of item.children) {
+          node.addChild(createNode(child));
+        }
+      }
+      return node;
+    });
+  }
+  
+  // Fetch the children of a page or database node as TreeNodes without their
+  // own children. Database rows are skipped with excludeDbRows, but the
+  // include, exclude and type options only apply to whole-tree crawls.
+  async function fetchChildNodes(node) {
+    if (treeFilter.skipsChildren(node)) {
+      return [];
+    }
+    const children = await fetchChildren(node);
+    return children.map(createNode);
+  }
+  
+  function createNode(item) {
+    const node = new TreeNode(item.id, item.title, item.type, item.url);
+    if (item.metadata) {
+      node.metadata = item.metadata;
+    }
+    return node;
+  }
+  
+  // Turn a search result into an item for buildTreeRecursively
+  function toRootItem(result) {
+    return withMetadata({
+      id: result.id,
+      title: result.object === 'database' ? getDatabaseTitle(result) : getPageTitle(result),
+      type: result.object,
+      parent: result.parent,
+      url: options.includeUrls ? result.url : null,
+    }, result);
+  }
+  
+  // Search for every page and database shared with the integration
+  async function searchWorkspace() {
+    const searchResults = [];
+    let pagesProcessed = 0;
+    
+    // Search for all pages the integration has access to
+    updateStatus('Searching for pages...');
+    let hasMore = true;
+    let cursor = undefined;
+    
+    while (hasMore) {
+      const response = await notionRequest(() => notion.search({
+        filter: {
+          value: 'page',
+          property: 'object'
+        },
+        page_size: 100,
+        start_cursor: cursor,
+      }));
+      
+      for (const result of response.results) {
+        searchResults.push(result);
+        pagesProcessed++;
+        updateStatus(`Found ${pagesProcessed} pages...`);
+      }
+      
+      hasMore = response.has_more;
+      cursor = response.next_cursor;
+    }
+    
+    // Also search for databases
+    updateStatus('Searching for databases...');
+    let dbProcessed = 0;
+    hasMore = true;
+    cursor = undefined;
+    
+    while (hasMore) {
+      const dbResponse = await notionRequest(() => notion.search({
+        filter: {
+          value: 'database',
+          property: 'object'
+        },
+        page_size: 100,
+        start_cursor: cursor,
+      }));
+      
+      for (const result of dbResponse.results) {
+        searchResults.push(result);
+        dbProcessed++;
+        updateStatus(`Found ${pagesProcessed} pages and ${dbProcessed} databases...`);
+      }
+      
+      hasMore = dbResponse.has_more;
+      cursor = dbResponse.next_cursor;
+    }
+    
+    indexSearchResults(searchResults);
+    return searchResults;
+  }
+  
+  // Remember search results by ID, and derive the version each cached child
+  // list is checked against from last_edited_time, along with the latest
+  // edit time behind it
+  function indexSearchResults(searchResults) {
+    const rowEditTimes = new Map();
+    
+    for (const result of searchResults) {
+      searchResultsById.set(result.id, result);
+      if (result.parent.type === 'database_id') {
+        const editTimes = rowEditTimes.get(result.parent.database_id) || [];
+        editTimes.push(result.last_edited_time);
+        rowEditTimes.set(result.parent.database_id, editTimes);
+      }
+    }
+    
+    for (const result of searchResults) {
+      if (result.object === 'database') {
+        // Adding, editing or removing rows doesn't necessarily touch the
+        // database itself, so its version also covers its rows
+        const editTimes = rowEditTimes.get(result.id) || [];
+        const latestRowEdit = editTimes.reduce((latest, time) => (time > latest ? time : latest), '');
+        cacheVersions.set(result.id, `${result.last_edited_time}/${editTimes.length}/${latestRowEdit}`);
+        cacheEditTimes.set(result.id, latestRowEdit > result.last_edited_time ? latestRowEdit : result.last_edited_time);
+      } else {
+        cacheVersions.set(result.id, result.last_edited_time);
+        cacheEditTimes.set(result.id, result.last_edited_time);
+      }
+    }
+  }
+  
+  // Fetch root-level pages and databases
+  async function fetchRootItems() {
+    const rootItems = [];
+    
+    try {
+      const searchResults = await searchWorkspace();
+      
+      // Filter for only workspace-level pages and databases (no parent page)
+      for (const result of searchResults) {
+        if (result.parent.type === 'workspace') {
+          rootItems.push(toRootItem(result));
+        }
+      }
+      
+      // Items whose parent isn't shared with the integration would never be
+      // reached from a workspace root, so collect them under a synthetic group
+      updateStatus('Looking for pages shared without their parent...');
+      const orphans = await findOrphanedItems(searchResults);
+      if (orphans.length > 0) {
+        rootItems.push({
+          id: ORPHAN_GROUP_ID,
+          title: ORPHAN_GROUP_TITLE,
+          type: 'group',
+          parent: null,
+          url: null,
+          children: orphans,
+        });
+      }
+    } catch (error) {
+      updateStatus(`Error finding root items: ${error.message}`);
+      throw error;
+    }
+    
+    return rootItems;
+  }
+  
+  // Retrieve an object by ID without knowing whether it's a page or a database
+  async function retrievePageOrDatabase(id) {
+    try {
+      return await notionRequest(() => notion.pages.retrieve({ page_id: id }));
+    } catch (error) {
+      // Database IDs are rejected by the pages endpoint, so try that next
+      if (error.code !== APIErrorCode.ObjectNotFound && error.code !== APIErrorCode.ValidationError) {
+        throw error;
+      }
+    }
+    
+    try {
+      return await notionRequest(() => notion.databases.retrieve({ database_id: id }));
+    } catch (error) {
+      if (error.code === APIErrorCode.ObjectNotFound || error.code === APIErrorCode.ValidationError) {
+        throw Object.assign(new Error(`No page or database ${id} found. Make sure it is shared with your integration.`), {
+          code: APIErrorCode.ObjectNotFound,
+        });
+      }
+      throw error;
+    }
+  }
+  
+  // Resolve page/database IDs or URLs into root items for buildTreeRecursively
+  async function fetchSpecifiedRoots(roots) {
+    const rootItems = [];
+    
+    for (const root of roots) {
+      const id = parseNotionId(root);
+      if (!id) {
+        throw new Error(`"${root}" is not a Notion page or database ID or URL`);
+      }
+      
+      updateStatus(`Resolving root ${id.substr(0, 8)}...`);
+      rootItems.push(toRootItem(await retrievePageOrDatabase(id)));
+    }
+    
+    return rootItems;
+  }
+  
+  // Find search results whose parent page or database the integration can't see
+  async function findOrphanedItems(searchResults) {
+    const accessibleIds = new Set(searchResults.map(result => result.id));
+    const orphans = [];
+    
+    // Resolved together so the scheduler can run the block lookups in parallel
+    const ownerIds = await Promise.all(searchResults.map(result => (
+      result.parent.type === 'workspace' ? null : resolveOwnerId(result.parent)
+    )));
+    
+    for (const [i, result] of searchResults.entries()) {
+      if (result.parent.type === 'workspace') {
+        continue;
+      }
+      
+      const ownerId = ownerIds[i];
+      if (!ownerId || !accessibleIds.has(ownerId)) {
+        orphans.push(toRootItem(result));
+        
+        // When a block on the way up can't be read, the page it's on is
+        // unknown, so the shared page's parent block is reported instead
+        const parentType = ownerId ? (result.parent.type === 'database_id' ? 'database' : 'page') : 'block';
+        options.onAccessDenied({
+          id: ownerId || result.parent.block_id,
+          type: parentType,
+          code: 'parent_not_shared',
+          message: `The parent of ${result.id} is not shared with the integration`,
+          childId: result.id,
+        });
+      }
+    }
+    
+    return orphans;
+  }
+  
+  // Resolve a parent reference to the page or database that owns it. Pages can
+  // sit inside blocks (toggles, columns, ...), so walk up until we leave the
+  // block hierarchy. Returns null if a block along the way is inaccessible.
+  // Each block is only retrieved once per crawler.
+  function resolveOwnerId(parent) {
+    if (parent.type !== 'block_id') {
+      return Promise.resolve(parent.page_id || parent.database_id || null);
+    }
+    
+    const blockId = parent.block_id;
+    if (!blockOwners.has(blockId)) {
+      blockOwners.set(blockId, notionRequest(() => notion.blocks.retrieve({ block_id: blockId })).then(
+        block => resolveOwnerId(block.parent),
+        () => null,
+      ));
+    }
+    return blockOwners.get(blockId);
+  }
+  
+  // Build the subtrees for a list of sibling items below `parentPath`, the
+  // titles of their ancestors, skipping excluded items. With a concurrency
+  // above 1 siblings are crawled in parallel; Promise.all keeps them in their
+  // original order, so the tree comes out identical to a sequential run.
+  async function buildSiblingTrees(items, depth, parentPath) {
+    const includedItems = items.filter(item => !treeFilter.excludes(item, [...parentPath, item.title]));
+    updateProgress(totalNodesProcessed, totalItems + includedItems.length);
+    
+    if (options.concurrency > 1) {
+      return Promise.all(includedItems.map(item => buildTreeRecursively(item, depth, parentPath)));
+    }
+    
+    const nodes = [];
+    for (const item of includedItems) {
+      nodes.push(await buildTreeRecursively(item, depth, parentPath));
+    }
+    return nodes;
+  }
+  
+  // Recursively build the tree for a given node
+  async function buildTreeRecursively(item, depth = 0, parentPath = []) {
+    const node = createNode(item);
+    const path = [...parentPath, item.title];
+    totalNodesProcessed++;
+    updateProgress(totalNodesProcessed);
+    
+    if (depth === 0) {
+      updateStatus(`Processing ${item.title}...`);
+    } else if (totalNodesProcessed % 5 === 0) {
+      updateStatus(`Building tree... (${totalNodesProcessed} nodes processed)`);
+    }
+    
+    // A database's schema is wanted even when its rows aren't crawled
+    if (item.type === 'database' && options.schema) {
+      const schema = await fetchDatabaseSchema(item.id);
+      if (schema) {
+        node.schema = schema;
+      }
+    }
+    
+    // Stop recursion if we've reached the maximum depth, or the filter skips
+    // this node's children (e.g. database rows)
+    if (depth >= options.maxDepth || treeFilter.skipsChildren(item)) {
+      return node;
+    }
+    
+    if (item.type === 'database') {
+      // For databases, fetch all pages in the database. Excluded rows don't
+      // take up any of the maxDbRows slots; the rows past those are counted
+      // but not crawled, so only their own titles and types can be checked
+      // against the include patterns and type.
+      let pages = (await fetchChildren(item)).filter(row => !treeFilter.excludes(row, [...path, row.title]));
+      if (pages.length > options.maxDbRows) {
+        const hiddenRows = pages.slice(options.maxDbRows);
+        const selectedHiddenRows = treeFilter.isSelective
+          ? hiddenRows.filter(row => treeFilter.selects(row, [...path, row.title]))
+          : hiddenRows;
+        node.rowCount = options.maxDbRows + selectedHiddenRows.length;
+        pages = pages.slice(0, options.maxDbRows);
+      }
+      for (const childNode of await buildSiblingTrees(pages, depth + 1, path)) {
+        node.addChild(childNode);
+      }
+    } else if (item.type === 'page') {
+      // For pages, fetch child blocks
+      const children = await fetchChildren(item);
+      for (const childNode of await buildSiblingTrees(children, depth + 1, path)) {
+        node.addChild(childNode);
+      }
+    } else if (item.type === 'group') {
+      // Synthetic groups already know their children
+      for (const childNode of await buildSiblingTrees(item.children, depth + 1, path)) {
+        node.addChild(childNode);
+      }
+    }
+    
+    return node;
+  }
+  
+  // Fetch the children of a page or database, reusing the cached list when
+  // search shows it hasn't been edited since it was cached
+  async function fetchChildren(item) {
+    const fetchUncached = item.type === 'database' ? fetchDatabasePages : fetchPageChildren;
+    let version = options.cache && cacheVersions.get(item.id);
+    if (!version) {
+      return fetchUncached(item.id);
+    }
+    
+    // Sorted rows are cached separately from unsorted ones
+    if (item.type === 'database' && options.dbRowSorts.length > 0) {
+      version += `/${JSON.stringify(options.dbRowSorts)}`;
+    }
+    
+    const cacheOptions = { includeUrls: options.includeUrls };
+    const cached = await options.cache.get(item.id, version, cacheOptions);
+    if (cached) {
+      return cached.map(withCurrentDetails);
+    }
+    
+    const children = await fetchUncached(item.id);
+    if (!incompleteIds.has(item.id)) {
+      await options.cache.set(item.id, version, children, { ...cacheOptions, editedTime: cacheEditTimes.get(item.id) });
+    }
+    return children;
+  }
+  
+  // Renaming or editing a page doesn't edit its parent, so cached children
+  // take their title and metadata from the latest search results
+  function withCurrentDetails(child) {
+    const { metadata, ...item } = child;
+    const result = searchResultsById.get(child.id);
+    if (!result) {
+      const kept = options.metadata ? metadata : options.icons && metadata && { icon: metadata.icon };
+      return kept ? { ...item, metadata: kept } : item;
+    }
+    
+    item.title = result.object === 'database' ? getDatabaseTitle(result) : getPageTitle(result);
+    return withMetadata(item, result);
+  }
+  
+  // Query every row of a database, in the order of options.dbRowSorts,
+  // calling `onRows` with each batch of page objects
+  async function queryDatabase(databaseId, onRows) {
+    let hasMore = true;
+    let cursor = undefined;
+    let sorts = options.dbRowSorts;
+    
+    while (hasMore) {
+      let response;
+      try {
+        response = await notionRequest(() => notion.databases.query({
+          database_id: databaseId,
+          page_size: 100,
+          start_cursor: cursor,
+          ...(sorts.length > 0 && { sorts }),
+        }));
+      } catch (error) {
+        // Databases without the sort property reject the query, so list
+        // their rows unsorted
+        if (error.code !== APIErrorCode.ValidationError || sorts.length === 0 || cursor) {
+          throw error;
+        }
+        sorts = [];
+        continue;
+      }
+      
+      onRows(response.results);
+      hasMore = response.has_more;
+      cursor = response.next_cursor;
+    }
+  }
+  
+  // Fetch every row of a database as Notion page objects, with their
+  // properties. Throws if the database can't be queried.
+  async function fetchDatabaseRows(databaseId) {
+    const rows = [];
+    await queryDatabase(databaseId, results => rows.push(...results));
+    return rows;
+  }
+  
+  // Fetch all pages in a database
+  async function fetchDatabasePages(databaseId) {
+    const pages = [];
+    
+    try {
+      updateStatus(`Fetching pages from database ${databaseId.substr(0, 8)}...`);
+      
+      await queryDatabase(databaseId, results => {
+        for (const page of results) {
+          const title = getPageTitle(page);
+          pages.push(withMetadata({
+            id: page.id,
+            title,
+            type: 'page',
+            parent: page.parent,
+            url: options.includeUrls ? page.url : null,
+          }, page));
+        }
+        updateStatus(`Fetched ${pages.length} pages from database ${databaseId.substr(0, 8)}...`);
+      });
+      
+      updateStatus(`Found ${pages.length} pages in database ${databaseId.substr(0, 8)}`);
+    } catch (error) {
+      incompleteIds.add(databaseId);
+      reportAccessError(databaseId, 'database', error);
+      warn(`Error fetching pages from database ${databaseId}: ${error.message}`);
+    }
+    
+    return pages;
+  }
+  
+  // Fetch a database's properties, each with its name, type and type-specific
+  // configuration such as select and status options. Returns null if the
+  // database can't be retrieved.
+  async function fetchDatabaseSchema(databaseId) {
+    try {
+      updateStatus(`Fetching schema of database ${databaseId.substr(0, 8)}...`);
+      const database = await notionRequest(() => notion.databases.retrieve({ database_id: databaseId }));
+      return Object.values(database.properties);
+    } catch (error) {
+      warn(`Error fetching schema of database ${databaseId}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // Fetch all blocks of a page or block, with their nested blocks as
+  // `children`. Child pages and databases aren't descended into, and synced
+  // block copies get the content of their original. A block whose nested
+  // blocks can't be fetched (e.g. a synced block copied from an unshared page)
+  // is reported as a warning, and to options.onAccessDenied if it isn't
+  // shared, and gets the error message as `childrenError` instead. Throws if
+  // `blockId`'s own blocks can't be fetched.
+  async function fetchBlockTree(blockId) {
+    const blocks = [];
+    let hasMore = true;
+    let cursor = undefined;
+    
+    while (hasMore) {
+      const response = await notionRequest(() => notion.blocks.children.list({
+        block_id: blockId,
+        page_size: 100,
+        start_cursor: cursor,
+      }));
+      blocks.push(...response.results);
+      hasMore = response.has_more;
+      cursor = response.next_cursor;
+    }
+    
+    await Promise.all(blocks.map(async block => {
+      if (!block.has_children || block.type === 'child_page' || block.type === 'child_database') {
+        return;
+      }
+      const original = block.type === 'synced_block' && block.synced_block.synced_from;
+      const sourceId = original ? original.block_id : block.id;
+      try {
+        block.children = await fetchBlockTree(sourceId);
+      } catch (error) {
+        reportAccessError(sourceId, 'block', error);
+        warn(`Error fetching nested blocks of block ${sourceId}: ${error.message}`);
+        block.children = [];
+        block.childrenError = error.message;
+      }
+    }));
+    
+    return blocks;
+  }
+  
+  // Whether the integration can retrieve a page or database
+  async function isAccessible(id) {
+    try {
+      await retrievePageOrDatabase(id);
+      return true;
+    } catch (error) {
+      if (isAccessError(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+  
+  // Whether a page has no blocks at all, not even child pages. Throws on
+  // failure.
+  async function isPageEmpty(pageId) {
+    const response = await notionRequest(() => notion.blocks.children.list({ block_id: pageId, page_size: 1 }));
+    return response.results.length === 0;
+  }
+  
+  // Child blocks don't carry a URL, icon or cover, so take those from the page
+  // or database itself: from the search results if it was found by search,
+  // otherwise by retrieving it
+  async function withChildDetails(child, block) {
+    withMetadata(child, block);
+    if (!options.includeUrls && !options.metadata && !options.icons) {
+      return [child];
+    }
+    
+    let details = searchResultsById.get(child.id);
+    if (!details) {
+      try {
+        details = child.type === 'database'
+          ? await notionRequest(() => notion.databases.retrieve({ database_id: child.id }))
+          : await notionRequest(() => notion.pages.retrieve({ page_id: child.id }));
+      } catch (error) {
+        // Ignore retrieval errors, the child keeps what its block told us
+        return [child];
+      }
+    }
+    
+    if (options.includeUrls) {
+      child.url = details.url;
+    }
+    return [withMetadata(child, details)];
+  }
+  
+  // Fetch child blocks of a page that are pages or databases.
+  // Container blocks (toggles, columns, callouts, synced blocks, ...) are walked
+  // via blockId, but anything found inside them still belongs to pageId.
+  async function fetchPageChildren(pageId, blockId = pageId) {
+    // One entry per matching block, each resolving to a list of child items, so
+    // URL lookups and nested container walks can run through the scheduler
+    // concurrently while the children keep their block order
+    const entries = [];
+    let hasMore = true;
+    let cursor = undefined;
+    
+    try {
+      updateStatus(`Fetching children for page ${pageId.substr(0, 8)}...`);
+      
+      while (hasMore) {
+        const response = await notionRequest(() => notion.blocks.children.list({
+          block_id: blockId,
+          page_size: 100,
+          start_cursor: cursor,
+        }));
+        
+        for (const block of response.results) {
+          // Check if the block is a child page or child database
+          if (block.type === 'child_page') {
+            entries.push(withChildDetails({
+              id: block.id,
+              title: block.child_page.title,
+              type: 'page',
+              parent: { type: 'page_id', page_id: pageId },
+              url: null,
+            }, block));
+          } else if (block.type === 'child_database') {
+            entries.push(withChildDetails({
+              id: block.id,
+              title: block.child_database.title,
+              type: 'database',
+              parent: { type: 'page_id', page_id: pageId },
+              url: null,
+            }, block));
+          } else if (block.has_children && !NON_CONTAINER_BLOCK_TYPES.has(block.type)) {
+            // Subpages can be nested inside toggles, columns and other container blocks
+            entries.push(fetchPageChildren(pageId, block.id));
+          }
+        }
+        
+        hasMore = response.has_more;
+        cursor = response.next_cursor;
+        
+        if (hasMore) {
+          updateStatus(`Fetching more children for page ${pageId.substr(0, 8)}...`);
+        }
+      }
+    } catch (error) {
+      incompleteIds.add(pageId);
+      // A container that can't be listed doesn't make the page unreadable
+      reportAccessError(blockId, blockId === pageId ? 'page' : 'block', error);
+      warn(`Error fetching children for page ${pageId}: ${error.message}`);
+    }
+    
+    const children = (await Promise.all(entries)).flat();
+    
+    if (children.length > 0) {
+      updateStatus(`Found ${children.length} child pages/databases in page ${pageId.substr(0, 8)}`);
+    }
+    
+    return children;
+  }
+  
+  return {
+    notion,
+    buildTree,
+    buildTreeRecursively,
+    fetchRootItems,
+    fetchSpecifiedRoots,
+    fetchRootNodes,
+    fetchChildNodes,
+    fetchDatabasePages,
+    fetchDatabaseRows,
+    fetchDatabaseSchema,
+    fetchBlockTree,
+    fetchPageChildren,
+    isPageEmpty,
+    isAccessible,
+  };
+}
+
+// Crawl a Notion workspace (or the subtrees below options.roots) and return
+// the root TreeNodes
+export function buildTree(options = {}) {
+  return createCrawler(options).buildTree();
+}
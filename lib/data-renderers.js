@@ -0,0 +1,154 @@
+// Call `visit(node, depth, parent, path)` for every node, parents first
+function walkTree(tree, visit) {
+  (function walk(nodes, depth, parent, parentPath) {
+    for (const node of nodes) {
+      const path = [...parentPath, node.title];
+      visit(node, depth, parent, path);
+      walk(node.children, depth + 1, node, path);
+    }
+  })(tree, 0, null, []);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render the tree as an OPML 2.0 outline for outliners and mind-map tools.
+// Nodes with a URL become link outlines.
+export function toOPML(tree, { generatedAt = new Date() } = {}) {
+  function renderOutlines(nodes, level) {
+    const indent = '  '.repeat(level + 2);
+    let result = '';
+    
+    for (const node of nodes) {
+      const text = node.type === 'database' ? `${node.title} (Database)` : node.title;
+      let attributes = `text="${escapeXml(text)}" notionId="${escapeXml(node.id)}" notionType="${escapeXml(node.type)}"`;
+      if (node.url) {
+        attributes += ` type="link" url="${escapeXml(node.url)}"`;
+      }
+      
+      if (node.children.length > 0) {
+        result += `${indent}<outline ${attributes}>\n`;
+        result += renderOutlines(node.children, level + 1);
+        result += `${indent}</outline>\n`;
+      } else {
+        result += `${indent}<outline ${attributes}/>\n`;
+      }
+    }
+    
+    return result;
+  }
+  
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<opml version="2.0">\n'
+    + '  <head>\n'
+    + '    <title>Notion Workspace Structure</title>\n'
+    + `    <dateCreated>${generatedAt.toUTCString()}</dateCreated>\n`
+    + '  </head>\n'
+    + '  <body>\n'
+    + renderOutlines(tree, 0)
+    + '  </body>\n'
+    + '</opml>\n';
+}
+
+const TABLE_COLUMNS = ['id', 'title', 'type', 'depth', 'parent_id', 'path', 'url'];
+
+// One row per node with the TABLE_COLUMNS values. The path is the node's
+// title and its ancestors', joined with " / "; roots are at depth 0.
+function toRows(tree) {
+  const rows = [];
+  walkTree(tree, (node, depth, parent, path) => {
+    rows.push([node.id, node.title, node.type, depth, parent ? parent.id : '', path.join(' / '), node.url || '']);
+  });
+  return rows;
+}
+
+// Format rows of values as CSV (RFC 4180), quoting fields where needed
+export function formatCSV(rows) {
+  function escapeField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Render the tree as a flat CSV table for spreadsheets, one row per node
+export function toCSV(tree) {
+  return formatCSV([TABLE_COLUMNS, ...toRows(tree)]);
+}
+
+// Render the tree as a flat TSV table, one row per node. TSV has no quoting,
+// so tabs and line breaks in titles become spaces.
+export function toTSV(tree) {
+  return [TABLE_COLUMNS, ...toRows(tree)]
+    .map(row => row.map(value => String(value).replace(/[\t\r\n]+/g, ' ')).join('\t'))
+    .join('\n') + '\n';
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+function toYAMLScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return '[]';
+  }
+  if (typeof value === 'object') {
+    return '{}';
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return '.nan';
+    }
+    return Number.isFinite(value) ? String(value) : `${value < 0 ? '-' : ''}.inf`;
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  // JSON strings are valid YAML double-quoted scalars
+  return JSON.stringify(String(value));
+}
+
+// The YAML block lines for an object or array at the given indentation
+function toYAMLLines(value, indent) {
+  const pad = '  '.repeat(indent);
+  
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (!isCollection(item)) {
+        return [`${pad}- ${toYAMLScalar(item)}`];
+      }
+      const [first, ...rest] = toYAMLLines(item, indent + 1);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  
+  return Object.entries(value).flatMap(([key, item]) => {
+    const yamlKey = /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+    return isCollection(item)
+      ? [`${pad}${yamlKey}:`, ...toYAMLLines(item, indent + 1)]
+      : [`${pad}${yamlKey}: ${toYAMLScalar(item)}`];
+  });
+}
+
+// Serialize the tree as YAML, with the same structure as the JSON export
+export function toYAML(tree, { generatedAt = new Date(), maxDepth = Infinity, includeUrls = false } = {}) {
+  const data = {
+    generated: generatedAt.toISOString(),
+    options: {
+      maxDepth,
+      includeUrls,
+    },
+    tree,
+  };
+  
+  return toYAMLLines(data, 0).join('\n') + '\n';
+}
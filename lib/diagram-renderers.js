@@ -0,0 +1,128 @@
+import { getHiddenRowCount, formatHiddenRows } from './renderers.js';
+
+// Default number of rows drawn per database before the rest are collapsed
+export const DEFAULT_DIAGRAM_ROWS = 10;
+
+// Flatten the tree into diagram nodes with short IDs (n1, n2, ...) and
+// parent → child edges. Rows of a database beyond `maxRows`, and rows the
+// crawl left out, are collapsed into a single summary node.
+function toGraph(tree, maxRows) {
+  const nodes = [];
+  const edges = [];
+  
+  function addNode(fields, parentId) {
+    const id = `n${nodes.length + 1}`;
+    nodes.push({ id, ...fields });
+    if (parentId) {
+      edges.push([parentId, id]);
+    }
+    return id;
+  }
+  
+  function addTree(node, parentId) {
+    const id = addNode({ title: node.title, type: node.type, url: node.url }, parentId);
+    
+    const children = node.type === 'database' ? node.children.slice(0, maxRows) : node.children;
+    for (const child of children) {
+      addTree(child, id);
+    }
+    
+    const hiddenRows = getHiddenRowCount(node) + node.children.length - children.length;
+    if (hiddenRows > 0) {
+      addNode({ title: formatHiddenRows(hiddenRows), type: 'summary', url: null }, id);
+    }
+  }
+  
+  for (const node of tree) {
+    addTree(node, null);
+  }
+  
+  return { nodes, edges };
+}
+
+// Render the tree as a Mermaid flowchart: pages as rectangles, databases as
+// cylinders, groups as hexagons, and clickable nodes when they have a URL
+export function toMermaid(tree, { maxRows = DEFAULT_DIAGRAM_ROWS } = {}) {
+  const { nodes, edges } = toGraph(tree, maxRows);
+  const shapes = {
+    page: ['[', ']'],
+    database: ['[(', ')]'],
+    group: ['{{', '}}'],
+    summary: ['([', '])'],
+  };
+  
+  const lines = ['flowchart LR'];
+  for (const node of nodes) {
+    const [open, close] = shapes[node.type] || shapes.page;
+    const label = node.title.replace(/"/g, '#quot;');
+    lines.push(`  ${node.id}${open}"${label}"${close}`);
+  }
+  for (const [from, to] of edges) {
+    lines.push(`  ${from} --> ${to}`);
+  }
+  for (const node of nodes) {
+    if (node.url) {
+      lines.push(`  click ${node.id} "${node.url}" _blank`);
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+// Render the tree as a Graphviz DOT digraph: pages as boxes, databases as
+// cylinders, groups as folders, with node URLs set for SVG output
+export function toDot(tree, { maxRows = DEFAULT_DIAGRAM_ROWS } = {}) {
+  const { nodes, edges } = toGraph(tree, maxRows);
+  const styles = {
+    page: 'shape=box, color="#2e7d32"',
+    database: 'shape=cylinder, color="#00838f"',
+    group: 'shape=folder, color="#b7791f"',
+    summary: 'shape=plaintext, fontcolor="#787774"',
+  };
+  
+  function quote(text) {
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  
+  const lines = [
+    'digraph notion {',
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica"];',
+  ];
+  for (const node of nodes) {
+    const url = node.url ? `, URL=${quote(node.url)}` : '';
+    lines.push(`  ${node.id} [label=${quote(node.title)}, ${styles[node.type] || styles.page}${url}];`);
+  }
+  for (const [from, to] of edges) {
+    lines.push(`  ${from} -> ${to};`);
+  }
+  lines.push('}');
+  
+  return lines.join('\n') + '\n';
+}
+
+// Render the tree as a PlantUML diagram: pages as rectangles, databases as
+// database elements, groups as folders, with links on nodes that have a URL
+export function toPlantUML(tree, { maxRows = DEFAULT_DIAGRAM_ROWS } = {}) {
+  const { nodes, edges } = toGraph(tree, maxRows);
+  const elements = {
+    page: 'rectangle',
+    database: 'database',
+    group: 'folder',
+    summary: 'card',
+  };
+  
+  const lines = ['@startuml', 'left to right direction'];
+  for (const node of nodes) {
+    // PlantUML can't escape double quotes in names
+    const label = node.title.replace(/"/g, "'");
+    const link = node.url ? ` [[${node.url}]]` : '';
+    lines.push(`${elements[node.type] || elements.page} "${label}" as ${node.id}${link}`);
+  }
+  for (const [from, to] of edges) {
+    lines.push(`${from} --> ${to}`);
+  }
+  lines.push('@enduml');
+  
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,224 @@
+import chalk from 'chalk';
+
+// Kinds of change, in the order they're reported
+const CHANGE_KINDS = ['added', 'removed', 'renamed', 'moved', 'converted'];
+
+// Map every node ID in a tree to the node, its parent's ID and its title path
+function indexTree(tree) {
+  const index = new Map();
+  
+  (function walk(nodes, parentId, path) {
+    for (const node of nodes) {
+      const nodePath = [...path, node.title];
+      if (!index.has(node.id)) {
+        index.set(node.id, { node, parentId, path: nodePath });
+      }
+      walk(node.children, node.id, nodePath);
+    }
+  })(tree, null, []);
+  
+  return index;
+}
+
+// Compare two trees (e.g. restored with treeFromJSON from two JSON exports),
+// matching nodes by ID. Returns the changes grouped by kind, plus a merged
+// tree of the changed nodes and their ancestors for display.
+export function diffTrees(oldTree, newTree) {
+  const oldIndex = indexTree(oldTree);
+  const newIndex = indexTree(newTree);
+  const changes = Object.fromEntries(CHANGE_KINDS.map(kind => [kind, []]));
+  const changesById = new Map();
+  
+  function record(kind, id, change) {
+    changes[kind].push(change);
+    if (!changesById.has(id)) {
+      changesById.set(id, []);
+    }
+    changesById.get(id).push({ kind, ...change });
+  }
+  
+  for (const [id, { node, parentId, path }] of newIndex) {
+    const before = oldIndex.get(id);
+    if (!before) {
+      record('added', id, { id, title: node.title, type: node.type, path });
+      continue;
+    }
+    
+    if (before.node.title !== node.title) {
+      record('renamed', id, { id, type: node.type, oldTitle: before.node.title, newTitle: node.title, path });
+    }
+    if (before.parentId !== parentId) {
+      record('moved', id, { id, title: node.title, type: node.type, oldPath: before.path, newPath: path });
+    }
+    if (before.node.type !== node.type) {
+      record('converted', id, { id, title: node.title, oldType: before.node.type, newType: node.type, path });
+    }
+  }
+  
+  for (const [id, { node, path }] of oldIndex) {
+    if (!newIndex.has(id)) {
+      record('removed', id, { id, title: node.title, type: node.type, path });
+    }
+  }
+  
+  return {
+    summary: Object.fromEntries(CHANGE_KINDS.map(kind => [kind, changes[kind].length])),
+    changes,
+    tree: buildDiffTree(newTree, oldIndex, newIndex, changesById),
+  };
+}
+
+// Merge both trees into one for display: the new tree's changed nodes and
+// their ancestors, with removed nodes put back under their old parent
+function buildDiffTree(newTree, oldIndex, newIndex, changesById) {
+  const diffNodesById = new Map();
+  
+  function fromNewTree(nodes) {
+    const result = [];
+    for (const node of nodes) {
+      const diffNode = {
+        id: node.id,
+        title: node.title,
+        type: node.type,
+        changes: changesById.get(node.id) || [],
+        children: fromNewTree(node.children),
+      };
+      diffNodesById.set(node.id, diffNode);
+      result.push(diffNode);
+    }
+    return result;
+  }
+  
+  // A removed subtree, leaving out descendants that still exist elsewhere
+  function fromRemovedNode(node) {
+    return {
+      id: node.id,
+      title: node.title,
+      type: node.type,
+      changes: changesById.get(node.id),
+      children: node.children.filter(child => !newIndex.has(child.id)).map(fromRemovedNode),
+    };
+  }
+  
+  const roots = fromNewTree(newTree);
+  
+  for (const [id, { node, parentId }] of oldIndex) {
+    const isTopmostRemoval = !newIndex.has(id) && (parentId === null || newIndex.has(parentId));
+    if (isTopmostRemoval) {
+      const siblings = parentId === null ? roots : diffNodesById.get(parentId).children;
+      siblings.push(fromRemovedNode(node));
+    }
+  }
+  
+  // Only keep the nodes that changed, and the ancestors that lead to them
+  function prune(nodes) {
+    return nodes
+      .map(node => ({ ...node, children: prune(node.children) }))
+      .filter(node => node.changes.length > 0 || node.children.length > 0);
+  }
+  
+  return prune(roots);
+}
+
+function formatPath(path) {
+  return path.join(' / ');
+}
+
+function formatTitle(title, type) {
+  return type === 'database' ? `${title} (Database)` : title;
+}
+
+// One-line description of a node's changes, without colors
+function describeChanges(node) {
+  const notes = [];
+  for (const change of node.changes) {
+    if (change.kind === 'renamed') {
+      notes.push(`renamed from "${change.oldTitle}"`);
+    } else if (change.kind === 'moved') {
+      notes.push(`moved from ${formatPath(change.oldPath.slice(0, -1)) || 'the workspace root'}`);
+    } else if (change.kind === 'converted') {
+      notes.push(`converted from ${change.oldType} to ${change.newType}`);
+    }
+  }
+  return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+}
+
+function formatSummary(summary) {
+  return CHANGE_KINDS.map(kind => `${summary[kind]} ${kind}`).join(', ');
+}
+
+// Render diff tree nodes with the same connectors as the console tree
+function renderDiffNodes(nodes, prefix = '') {
+  const lines = [];
+  
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const isLast = i === nodes.length - 1;
+    const connector = isLast ? '└── ' : '├── ';
+    const kinds = node.changes.map(change => change.kind);
+    const title = formatTitle(node.title, node.type);
+    
+    // Added nodes are green, removed red, otherwise changed yellow and
+    // unchanged ancestors dimmed
+    let nodeDisplay;
+    if (kinds.includes('added')) {
+      nodeDisplay = chalk.green(`+ ${title}`);
+    } else if (kinds.includes('removed')) {
+      nodeDisplay = chalk.red(`- ${title}`);
+    } else if (kinds.length > 0) {
+      nodeDisplay = chalk.yellow(`~ ${title}${describeChanges(node)}`);
+    } else {
+      nodeDisplay = chalk.dim(title);
+    }
+    
+    lines.push(`${prefix}${connector}${nodeDisplay}`);
+    
+    if (node.children.length > 0) {
+      const childPrefix = prefix + (isLast ? '    ' : '│   ');
+      lines.push(renderDiffNodes(node.children, childPrefix));
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+// Render the diff as a tree of the changed nodes, followed by a summary line
+export function renderDiffConsole(diff) {
+  if (diff.tree.length === 0) {
+    return chalk.green('No changes.');
+  }
+  return `${renderDiffNodes(diff.tree)}\n\n${formatSummary(diff.summary)}`;
+}
+
+// Render the diff as a Markdown changelog entry, listing changes by kind
+export function diffToMarkdown(diff, { oldLabel = 'old', newLabel = 'new' } = {}) {
+  let content = '# Notion Workspace Changes\n\n';
+  content += `Comparing ${oldLabel} with ${newLabel}: ${formatSummary(diff.summary)}.\n`;
+  
+  const sections = [
+    ['added', 'Added', change => formatPath(change.path) + (change.type === 'database' ? ' (Database)' : '')],
+    ['removed', 'Removed', change => formatPath(change.path) + (change.type === 'database' ? ' (Database)' : '')],
+    ['renamed', 'Renamed', change => `${formatPath(change.path.slice(0, -1).concat(change.oldTitle))} → ${change.newTitle}`],
+    ['moved', 'Moved', change => `${change.title}: ${formatPath(change.oldPath)} → ${formatPath(change.newPath)}`],
+    ['converted', 'Converted', change => `${formatPath(change.path)}: ${change.oldType} → ${change.newType}`],
+  ];
+  
+  for (const [kind, heading, describe] of sections) {
+    if (diff.changes[kind].length > 0) {
+      content += `\n## ${heading}\n\n`;
+      content += diff.changes[kind].map(change => `- ${describe(change)}\n`).join('');
+    }
+  }
+  
+  return content;
+}
+
+// Serialize the diff report as JSON
+export function diffToJSON(diff, { old: oldSource = null, new: newSource = null } = {}) {
+  return JSON.stringify({
+    old: oldSource,
+    new: newSource,
+    summary: diff.summary,
+    changes: diff.changes,
+  }, null, 2);
+}
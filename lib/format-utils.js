@@ -0,0 +1,21 @@
+// Formatting helpers shared by the renderers and reports
+
+// A count with thousands separators, e.g. "1,500"
+export function formatNumber(count) {
+  return count.toLocaleString('en-US');
+}
+
+// A count followed by a noun, plural unless the count is 1, e.g. "3 pages"
+export function pluralize(count, noun) {
+  return `${formatNumber(count)} ${count === 1 ? noun : `${noun}s`}`;
+}
+
+// The date part of an ISO timestamp, e.g. "2024-05-01"
+export function formatDate(time) {
+  return time.slice(0, 10);
+}
+
+// Escape text for a Markdown table cell, where a pipe would end the cell
+export function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
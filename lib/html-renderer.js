@@ -0,0 +1,138 @@
+import { getIconGlyph, getHiddenRowCount, formatHiddenRows } from './renderers.js';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Colors match the console tree: green pages, cyan databases, yellow groups
+const STYLES = `
+  body { font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #37352f; }
+  h1 { font-size: 1.8rem; margin-bottom: 0.2rem; }
+  .generated { color: #787774; margin-top: 0; }
+  .toolbar { display: flex; gap: 0.5rem; margin: 1rem 0; position: sticky; top: 0; background: #fff; padding: 0.5rem 0; }
+  .toolbar input { flex: 1; font: inherit; padding: 0.3rem 0.6rem; border: 1px solid #d3d1cb; border-radius: 4px; }
+  .toolbar button { font: inherit; padding: 0.3rem 0.8rem; border: 1px solid #d3d1cb; border-radius: 4px; background: #f7f6f3; cursor: pointer; }
+  .tree, .tree ul { list-style: none; margin: 0; padding-left: 1.4rem; }
+  .tree { padding-left: 0; }
+  .tree li { margin: 0.1rem 0; }
+  .tree summary { cursor: pointer; }
+  .tree .leaf { padding-left: 1.1rem; }
+  .page > .title, .page > details > summary > .title { color: #2e7d32; }
+  .database > .title, .database > details > summary > .title { color: #00838f; }
+  .group > .title, .group > details > summary > .title { color: #b7791f; }
+  .title a { color: inherit; }
+  .type, .summary { color: #787774; font-size: 0.85em; }
+  .match > .title, .match > details > summary > .title { background: #fbf3db; }
+  .hidden { display: none; }
+  .no-results { color: #787774; }
+`;
+
+// Live search: show nodes whose title matches, and the ancestors leading to
+// them, opening the ancestors so every match is visible
+const SCRIPT = `
+  const search = document.getElementById('search');
+  const items = Array.from(document.querySelectorAll('.tree li'));
+  const noResults = document.getElementById('no-results');
+
+  function setOpen(open) {
+    document.querySelectorAll('.tree details').forEach(details => { details.open = open; });
+  }
+
+  document.getElementById('expand-all').addEventListener('click', () => setOpen(true));
+  document.getElementById('collapse-all').addEventListener('click', () => setOpen(false));
+
+  search.addEventListener('input', () => {
+    const query = search.value.trim().toLowerCase();
+    items.forEach(item => item.classList.remove('hidden', 'match'));
+    if (!query) {
+      noResults.classList.add('hidden');
+      return;
+    }
+
+    let matchCount = 0;
+    items.forEach(item => {
+      if (!item.dataset.title.toLowerCase().includes(query)) {
+        return;
+      }
+      matchCount++;
+      item.classList.add('match');
+      for (let parent = item.parentElement.closest('li'); parent; parent = parent.parentElement.closest('li')) {
+        parent.querySelector(':scope > details').open = true;
+      }
+    });
+
+    items.forEach(item => {
+      const isVisible = item.classList.contains('match') || item.querySelector('.match');
+      item.classList.toggle('hidden', !isVisible);
+    });
+    noResults.classList.toggle('hidden', matchCount > 0);
+  });
+`;
+
+// Render the tree as a standalone HTML page with collapsible nodes, live title
+// search and expand/collapse-all buttons. Nodes link to Notion when they have
+// a URL, and are prefixed with their icon when `icons` is set.
+export function toHTML(tree, { generatedAt = new Date(), icons = false } = {}) {
+  function renderTitle(node) {
+    const icon = icons ? `${getIconGlyph(node)} ` : '';
+    const title = node.url
+      ? `<a href="${escapeHtml(node.url)}">${escapeHtml(node.title)}</a>`
+      : escapeHtml(node.title);
+    const type = node.type === 'database' ? ' <span class="type">(Database)</span>' : '';
+    return `<span class="title">${icon}${title}${type}</span>`;
+  }
+  
+  function renderNodes(nodes, level) {
+    const indent = '  '.repeat(level + 1);
+    let result = '';
+    
+    for (const node of nodes) {
+      const hiddenRows = getHiddenRowCount(node);
+      const isLeaf = node.children.length === 0 && hiddenRows === 0;
+      const attributes = `class="${escapeHtml(node.type)}${isLeaf ? ' leaf' : ''}" data-title="${escapeHtml(node.title)}"`;
+      if (!isLeaf) {
+        const summary = hiddenRows > 0
+          ? `${indent}    <li class="summary leaf" data-title="">${formatHiddenRows(hiddenRows)}</li>\n`
+          : '';
+        // Only the top level starts expanded
+        result += `${indent}<li ${attributes}><details${level === 0 ? ' open' : ''}>`;
+        result += `<summary>${renderTitle(node)}</summary>\n`;
+        result += `${indent}  <ul>\n${renderNodes(node.children, level + 1)}${summary}${indent}  </ul>\n`;
+        result += `${indent}</details></li>\n`;
+      } else {
+        result += `${indent}<li ${attributes}>${renderTitle(node)}</li>\n`;
+      }
+    }
+    
+    return result;
+  }
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Notion Workspace Structure</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Notion Workspace Structure</h1>
+<p class="generated">Generated on: ${escapeHtml(generatedAt.toLocaleString())}</p>
+<div class="toolbar">
+  <input type="search" id="search" placeholder="Search titles..." autofocus>
+  <button type="button" id="expand-all">Expand all</button>
+  <button type="button" id="collapse-all">Collapse all</button>
+</div>
+<p id="no-results" class="no-results hidden">No matching pages or databases.</p>
+<ul class="tree">
+${renderNodes(tree, 0)}</ul>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,20 @@
+// Library entry point: crawl a Notion workspace into TreeNodes and render them
+export { TreeNode, treeFromJSON } from './tree-node.js';
+export { limitDepth, limitDbRows, withoutUrls, filterTree } from './tree-transforms.js';
+export { parseTreePath, formatPathSegment, formatTreePath, resolveTreePath, findNodes, parseTimeCutoff } from './tree-path.js';
+export { computeTreeStats, countSubtrees, renderStatsConsole, statsToMarkdown, statsToJSON, DEFAULT_TOP_SUBTREES } from './tree-stats.js';
+export { findStalePages, renderStaleConsole, staleToMarkdown, staleToCSV } from './stale-report.js';
+export { auditAccess, renderAuditConsole, auditToMarkdown, auditToJSON } from './access-audit.js';
+export { createTreeFilter, compilePattern, FILTER_TYPES } from './tree-filter.js';
+export { buildTree, createCrawler, isAccessError, ORPHAN_GROUP_ID, ORPHAN_GROUP_TITLE } from './crawler.js';
+export { renderConsole, toMarkdown, toAsciiMarkdown, toJSON, SHOW_FIELDS, getIconGlyph, getHiddenRowCount, formatHiddenRows } from './renderers.js';
+export { browseTree } from './browser.js';
+export { toHTML } from './html-renderer.js';
+export { toOPML, toCSV, toTSV, toYAML, formatCSV } from './data-renderers.js';
+export { blocksToMarkdown } from './block-markdown.js';
+export { exportContent } from './content-export.js';
+export { toMermaid, toDot, toPlantUML, DEFAULT_DIAGRAM_ROWS } from './diagram-renderers.js';
+export { diffTrees, renderDiffConsole, diffToMarkdown, diffToJSON } from './diff.js';
+export { getPageTitle, getDatabaseTitle, getMetadata, getPlainText, getPropertyText, getNodeUrl, parseNotionId } from './notion-utils.js';
+export { createRecordingFetch, createReplayFetch } from './recorder.js';
+export { createTreeCache, DEFAULT_CACHE_DIR } from './cache.js';
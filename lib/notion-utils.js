@@ -0,0 +1,129 @@
+// Helper function to extract page title
+export function getPageTitle(page) {
+  // Try to get title from properties
+  if (page.properties) {
+    // Look for a title property
+    for (const key in page.properties) {
+      const property = page.properties[key];
+      if (property.type === 'title' && property.title.length > 0) {
+        return property.title.map(text => text.plain_text).join('');
+      }
+    }
+  }
+  
+  // Fallback for child pages
+  if (page.child_page && page.child_page.title) {
+    return page.child_page.title;
+  }
+  
+  return 'Untitled';
+}
+
+// Helper function to extract database title
+export function getDatabaseTitle(database) {
+  if (database.title && database.title.length > 0) {
+    return database.title.map(text => text.plain_text).join('');
+  }
+  return 'Untitled Database';
+}
+
+// Plain text of a rich text array
+export function getPlainText(richText) {
+  return richText.map(text => text.plain_text).join('');
+}
+
+// The value of a page property as plain text, e.g. for a CSV cell. Users are
+// shown by name when the API includes it, otherwise by ID.
+export function getPropertyText(property) {
+  if (!property) {
+    return '';
+  }
+  
+  const value = property[property.type];
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return getPlainText(value);
+    case 'select':
+    case 'status':
+      return value.name;
+    case 'multi_select':
+      return value.map(option => option.name).join(', ');
+    case 'date':
+      return value.end ? `${value.start} → ${value.end}` : value.start;
+    case 'people':
+      return value.map(user => user.name || user.id).join(', ');
+    case 'created_by':
+    case 'last_edited_by':
+      return value.name || value.id;
+    case 'files':
+      return value.map(file => (file.type === 'external' ? file.external.url : file.name)).join(', ');
+    case 'relation':
+      return value.map(relation => relation.id).join(', ');
+    case 'formula':
+      return getPropertyText(value);
+    case 'rollup':
+      return value.type === 'array'
+        ? value.array.map(getPropertyText).filter(Boolean).join(', ')
+        : getPropertyText(value);
+    case 'unique_id':
+      return value.prefix ? `${value.prefix}-${value.number}` : String(value.number);
+    case 'verification':
+      return value.state;
+    default:
+      // number, checkbox, url, email, phone_number, created_time, last_edited_time, ...
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+// Collect the metadata of a page, database or child block for TreeNode.metadata.
+// Users are referenced by ID, as the API doesn't include their names.
+export function getMetadata(object) {
+  return {
+    icon: object.icon || null,
+    cover: object.cover || null,
+    createdTime: object.created_time || null,
+    lastEditedTime: object.last_edited_time || null,
+    createdBy: object.created_by ? object.created_by.id : null,
+    lastEditedBy: object.last_edited_by ? object.last_edited_by.id : null,
+    archived: Boolean(object.archived || object.in_trash),
+    parent: object.parent || null,
+  };
+}
+
+// A node's Notion URL; the undashed ID resolves even when the crawl didn't
+// include URLs. Groups have none.
+export function getNodeUrl(node) {
+  if (node.url) {
+    return node.url;
+  }
+  return node.type === 'group' ? null : `https://www.notion.so/${node.id.replace(/-/g, '')}`;
+}
+
+// Extract a Notion ID from a raw ID, a dashed UUID or a pasted Notion URL,
+// returning it as a dashed UUID (or null if there's no ID in the value)
+export function parseNotionId(value) {
+  let candidate = value.trim();
+  
+  try {
+    const url = new URL(candidate);
+    // Pages opened in side peek carry their ID in the "p" query parameter
+    candidate = url.searchParams.get('p') || url.pathname;
+  } catch (error) {
+    // Not a URL, treat it as a raw ID
+  }
+  
+  // URLs end in "Page-Title-<id>", so take the trailing 32 hex digits
+  const lastSegment = candidate.split('/').filter(Boolean).pop() || '';
+  const match = lastSegment.replace(/-/g, '').match(/([0-9a-f]{32})$/i);
+  if (!match) {
+    return null;
+  }
+  
+  const hex = match[1].toLowerCase();
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Describe a Notion API request independently of the host it was sent to
+function describeRequest(url, init = {}) {
+  const { pathname, searchParams } = new URL(url);
+  searchParams.sort();
+  const query = searchParams.toString();
+  
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    path: pathname.replace(/^\/v1\//, '') + (query ? `?${query}` : ''),
+    body: init.body ? JSON.parse(init.body) : null,
+  };
+}
+
+// Fixture file name for a request: readable, but unique per method, path,
+// query and body
+function getFixtureName(request) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([request.method, request.path, request.body]))
+    .digest('hex')
+    .substr(0, 12);
+  const readablePath = request.path.split('?')[0].replace(/[^\w-]+/g, '_');
+  return `${request.method.toLowerCase()}-${readablePath}-${hash}.json`;
+}
+
+// Create a fetch implementation for the Notion client that passes requests
+// through to `baseFetch` and saves every request with its responses in `dir`.
+// Only the request method, path and body are stored, never the auth header.
+// Each attempt of a retried request is kept, in order, with its headers, so
+// a replay goes through the same rate limits and retries.
+export function createRecordingFetch(dir, baseFetch = fetch) {
+  const ready = fs.mkdir(dir, { recursive: true });
+  
+  // Recorded responses and the pending write of each fixture file, by name
+  const responsesByFixture = new Map();
+  const writes = new Map();
+  
+  return async function recordingFetch(url, init) {
+    const response = await baseFetch(url, init);
+    const text = await response.text();
+    
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = text;
+    }
+    
+    const request = describeRequest(url, init);
+    const name = getFixtureName(request);
+    const responses = responsesByFixture.get(name) || [];
+    responses.push({ status: response.status, headers: Object.fromEntries(response.headers), body });
+    responsesByFixture.set(name, responses);
+    
+    // Writes of the same file are chained, so an earlier attempt's write
+    // can't land after a later one's
+    const fixture = JSON.stringify({ request, responses }, null, 2);
+    const write = (writes.get(name) || ready).then(() => fs.writeFile(path.join(dir, name), fixture, 'utf8'));
+    writes.set(name, write);
+    await write;
+    
+    return new Response(text, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  };
+}
+
+// Create a fetch implementation for the Notion client that answers every
+// request from fixtures saved by createRecordingFetch, without a network.
+// Repeated requests get the recorded responses in order, then the last one
+// again. Requests that weren't recorded get a 404 so the crawl can carry on.
+export function createReplayFetch(dir) {
+  // How many times each fixture has been replayed, by name
+  const replayCounts = new Map();
+  
+  return async function replayFetch(url, init) {
+    const request = describeRequest(url, init);
+    const name = getFixtureName(request);
+    
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return new Response(JSON.stringify({
+        object: 'error',
+        status: 404,
+        code: 'object_not_found',
+        message: `No recorded response for ${request.method} ${request.path}`,
+      }), { status: 404, headers: { 'content-type': 'application/json' } });
+    }
+    
+    const count = replayCounts.get(name) || 0;
+    replayCounts.set(name, count + 1);
+    const { status, headers, body } = fixture.responses[Math.min(count, fixture.responses.length - 1)];
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+      status,
+      headers: { 'content-type': 'application/json', ...headers },
+    });
+  };
+}
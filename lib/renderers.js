@@ -0,0 +1,267 @@
+import chalk from 'chalk';
+import { countSubtrees, formatSubtreeCounts } from './tree-stats.js';
+import { formatDate, formatNumber } from './format-utils.js';
+
+function formatIcon(icon) {
+  if (icon.type === 'emoji') {
+    return icon.emoji;
+  }
+  if (icon.type === 'custom_emoji') {
+    return `:${icon.custom_emoji.name}:`;
+  }
+  return 'image';
+}
+
+function formatParent(parent) {
+  if (parent.type === 'workspace') {
+    return 'workspace';
+  }
+  return `${parent.type.replace(/_id$/, '')} ${parent[parent.type]}`;
+}
+
+// Metadata fields that can be shown next to titles (see TreeNode.metadata),
+// each formatted as a short label, or falsy when the node doesn't have it
+const METADATA_FIELDS = {
+  icon: metadata => metadata.icon && `icon ${formatIcon(metadata.icon)}`,
+  cover: metadata => metadata.cover && 'has cover',
+  created: metadata => metadata.createdTime && `created ${formatDate(metadata.createdTime)}`,
+  edited: metadata => metadata.lastEditedTime && `edited ${formatDate(metadata.lastEditedTime)}`,
+  'created-by': metadata => metadata.createdBy && `created by ${metadata.createdBy}`,
+  'edited-by': metadata => metadata.lastEditedBy && `edited by ${metadata.lastEditedBy}`,
+  archived: metadata => metadata.archived && 'archived',
+  parent: metadata => metadata.parent && `parent ${formatParent(metadata.parent)}`,
+};
+
+// Names accepted by the renderers' `show` option
+export const SHOW_FIELDS = Object.keys(METADATA_FIELDS);
+
+// Glyphs for nodes without an icon, and for icons that aren't an emoji
+// (uploaded images, external URLs and custom workspace emoji)
+const DEFAULT_ICONS = { page: '📄', database: '🗃️', group: '📁' };
+const IMAGE_ICON = '🖼️';
+
+// The glyph the renderers' `icons` option puts in front of a node's title
+export function getIconGlyph(node) {
+  const icon = node.metadata && node.metadata.icon;
+  if (!icon) {
+    return DEFAULT_ICONS[node.type] || DEFAULT_ICONS.page;
+  }
+  return icon.type === 'emoji' ? icon.emoji : IMAGE_ICON;
+}
+
+// Number of a database's rows left out of the tree, e.g. by the crawler's
+// maxDbRows option, which records the true count as `rowCount`
+export function getHiddenRowCount(node) {
+  return node.rowCount > node.children.length ? node.rowCount - node.children.length : 0;
+}
+
+// The summary line shown in place of a database's hidden rows
+export function formatHiddenRows(count) {
+  return `… and ${formatNumber(count)} more ${count === 1 ? 'row' : 'rows'}`;
+}
+
+// Property types with a fixed list of options
+const OPTION_PROPERTY_TYPES = ['select', 'multi_select', 'status'];
+
+// One line per property in a database's schema (see TreeNode.schema) with its
+// name, type and options, title property first and the rest by name
+function formatSchema(schema) {
+  return [...schema]
+    .sort((a, b) => (b.type === 'title') - (a.type === 'title') || a.name.localeCompare(b.name))
+    .map(property => {
+      const config = property[property.type];
+      const options = OPTION_PROPERTY_TYPES.includes(property.type) && config && config.options.length > 0
+        ? ` (${config.options.map(option => option.name).join(', ')})`
+        : '';
+      return `${property.name}: ${property.type}${options}`;
+    });
+}
+
+// A node's title, prefixed with its icon glyph when `icons` is set
+function formatTitle(node, icons) {
+  return icons ? `${getIconGlyph(node)} ${node.title}` : node.title;
+}
+
+// The selected metadata fields of a node, formatted to follow its title
+function formatDetails(node, show) {
+  if (!node.metadata) {
+    return '';
+  }
+  return show
+    .map(field => METADATA_FIELDS[field](node.metadata))
+    .filter(Boolean)
+    .map(detail => ` · ${detail}`)
+    .join('');
+}
+
+// Render the tree the way it's displayed in the console, with colored node
+// types, optional icons and the metadata fields listed in `show` after each
+// title. With `schema`, database properties are listed below the database,
+// and with `counts`, each title is followed by the number of pages,
+// databases and rows below it.
+export function renderConsole(tree, { show = [], icons = false, schema = false, counts = false } = {}) {
+  const subtreeCounts = counts ? countSubtrees(tree) : null;
+  
+  function renderLines(nodes, prefix, hiddenRows = 0) {
+    const lines = [];
+    
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      const isLast = i === nodes.length - 1 && hiddenRows === 0;
+      const connector = isLast ? '└── ' : '├── ';
+      
+      // Use different colors for different node types
+      const title = formatTitle(node, icons);
+      let nodeDisplay;
+      if (node.type === 'database') {
+        nodeDisplay = chalk.cyan(`${title} (Database)`);
+      } else if (node.type === 'group') {
+        nodeDisplay = chalk.yellow(title);
+      } else {
+        nodeDisplay = chalk.green(title);
+      }
+      
+      const details = formatDetails(node, show) + (subtreeCounts ? formatSubtreeCounts(subtreeCounts.get(node)) : '');
+      if (details) {
+        nodeDisplay += chalk.gray(details);
+      }
+      
+      lines.push(`${prefix}${connector}${nodeDisplay}`);
+      
+      const childPrefix = prefix + (isLast ? '    ' : '│   ');
+      const hasChildren = node.children.length > 0 || getHiddenRowCount(node) > 0;
+      if (schema && node.schema) {
+        for (const line of formatSchema(node.schema)) {
+          lines.push(`${childPrefix}${hasChildren ? '│ ' : '  '}${chalk.gray(line)}`);
+        }
+      }
+      
+      // Recursively render children with proper indentation
+      if (hasChildren) {
+        lines.push(renderLines(node.children, childPrefix, getHiddenRowCount(node)));
+      }
+    }
+    
+    if (hiddenRows > 0) {
+      lines.push(`${prefix}└── ${chalk.gray(formatHiddenRows(hiddenRows))}`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  return renderLines(tree, '');
+}
+
+// Render the tree as a nested Markdown list, linking nodes that have a URL,
+// with optional icons and the metadata fields in `show` after each title.
+// With `schema`, database properties are listed before the database's rows,
+// and `counts` adds the number of pages, databases and rows below each node.
+export function toMarkdown(tree, { generatedAt = new Date(), show = [], icons = false, schema = false, counts = false } = {}) {
+  const subtreeCounts = counts ? countSubtrees(tree) : null;
+  let content = '# Notion Workspace Structure\n\n';
+  content += 'Generated on: ' + generatedAt.toLocaleString() + '\n\n';
+  
+  // Helper function to build the markdown tree
+  function buildMarkdownTree(nodes, level = 0) {
+    let result = '';
+    for (const node of nodes) {
+      const indent = '  '.repeat(level);
+      const nodeType = node.type === 'database' ? ' (Database)' : '';
+      const nodeLink = node.url ? `[${node.title}${nodeType}](${node.url})` : `${node.title}${nodeType}`;
+      const icon = icons ? `${getIconGlyph(node)} ` : '';
+      const nodeCounts = subtreeCounts ? formatSubtreeCounts(subtreeCounts.get(node)) : '';
+      result += `${indent}- ${icon}${nodeLink}${formatDetails(node, show)}${nodeCounts}\n`;
+      
+      if (schema && node.schema) {
+        result += `${indent}  - _Properties_\n`;
+        result += formatSchema(node.schema).map(line => `${indent}    - ${line}\n`).join('');
+      }
+      if (node.children.length > 0) {
+        result += buildMarkdownTree(node.children, level + 1);
+      }
+      if (getHiddenRowCount(node) > 0) {
+        result += `${indent}  - _${formatHiddenRows(getHiddenRowCount(node))}_\n`;
+      }
+    }
+    return result;
+  }
+  
+  content += buildMarkdownTree(tree);
+  return content;
+}
+
+// Render the tree as a clean ASCII tree in a Markdown code block, with node
+// URLs listed as numbered footnotes below it. `counts` adds the number of
+// pages, databases and rows below each node.
+export function toAsciiMarkdown(tree, { generatedAt = new Date(), icons = false, counts = false } = {}) {
+  const subtreeCounts = counts ? countSubtrees(tree) : null;
+  let content = '# Notion Workspace Structure - ASCII Tree\n\n';
+  content += 'Generated on: ' + generatedAt.toLocaleString() + '\n\n';
+  content += '```\n'; // Start code block for the ASCII tree
+
+  // Footnotes are numbered in the order nodes appear in the tree
+  const footnotes = [];
+
+  // Helper function to build the ASCII tree
+  function buildASCIITree(nodes, prefix = '', hiddenRows = 0) {
+    let result = '';
+
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      const isLast = i === nodes.length - 1 && hiddenRows === 0;
+      const connector = isLast ? '└── ' : '├── ';
+
+      // Format node display
+      const title = formatTitle(node, icons);
+      let nodeDisplay = node.type === 'database' ? `${title} (Database)` : title;
+      if (subtreeCounts) {
+        nodeDisplay += formatSubtreeCounts(subtreeCounts.get(node));
+      }
+      if (node.url) {
+        // Include URL as a footnote reference
+        footnotes.push(node.url);
+        nodeDisplay += ` [${footnotes.length}]`;
+      }
+
+      result += `${prefix}${connector}${nodeDisplay}\n`;
+
+      // Recursively add children with proper indentation
+      if (node.children.length > 0 || getHiddenRowCount(node) > 0) {
+        const childPrefix = prefix + (isLast ? '    ' : '│   ');
+        result += buildASCIITree(node.children, childPrefix, getHiddenRowCount(node));
+      }
+    }
+
+    if (hiddenRows > 0) {
+      result += `${prefix}└── ${formatHiddenRows(hiddenRows)}\n`;
+    }
+
+    return result;
+  }
+
+  // Build the ASCII tree
+  content += buildASCIITree(tree);
+  content += '```\n\n'; // End code block
+  
+  // Add footnotes for URLs if any
+  if (footnotes.length > 0) {
+    content += '\n### Links\n\n';
+    content += footnotes.map((url, index) => `[${index + 1}]: ${url}\n`).join('');
+  }
+  
+  return content;
+}
+
+// Serialize the tree, along with the options it was built with, as JSON
+export function toJSON(tree, { generatedAt = new Date(), maxDepth = Infinity, includeUrls = false } = {}) {
+  const data = {
+    generated: generatedAt.toISOString(),
+    options: {
+      maxDepth,
+      includeUrls
+    },
+    tree: tree
+  };
+  
+  return JSON.stringify(data, null, 2);
+}
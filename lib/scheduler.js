@@ -0,0 +1,96 @@
+import { APIErrorCode, ClientErrorCode, isNotionClientError } from '@notionhq/client';
+
+const REQUESTS_PER_SECOND = 3;
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// How long to wait before retrying a failed request, or null if it shouldn't be retried
+function getRetryDelay(error, attempt) {
+  if (attempt >= MAX_RETRIES) {
+    return null;
+  }
+  
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  
+  if (error.status === 429 || error.code === APIErrorCode.RateLimited) {
+    const retryAfter = Number(error.headers?.get?.('retry-after'));
+    return retryAfter > 0 ? retryAfter * 1000 : backoff;
+  }
+  
+  // 5xx responses, timeouts and network failures are worth another try
+  if (error.status >= 500 || error.code === ClientErrorCode.RequestTimeout || !isNotionClientError(error)) {
+    return backoff;
+  }
+  
+  return null;
+}
+
+// Create a request scheduler to run every Notion API call of a crawl through.
+// It caps the number of requests in flight at `concurrency`, spaces request
+// starts `requestsPerSecond` apart to stay under Notion's rate limit, and
+// retries rate-limited or transient failures. Returns a function that takes
+// the API call to make.
+export function createRequestScheduler({
+  concurrency = 1,
+  requestsPerSecond = REQUESTS_PER_SECOND,
+  onRateLimited = () => {},
+} = {}) {
+  const waitingRequests = [];
+  let activeRequests = 0;
+  let nextRequestAt = 0;
+  
+  // Wait for a free request slot, then for our turn under the rate limit
+  async function acquireRequestSlot() {
+    if (activeRequests < concurrency) {
+      activeRequests++;
+    } else {
+      // releaseRequestSlot hands its slot straight to us
+      await new Promise(resolve => waitingRequests.push(resolve));
+    }
+    
+    const now = Date.now();
+    const startAt = Math.max(now, nextRequestAt);
+    nextRequestAt = startAt + 1000 / requestsPerSecond;
+    await sleep(startAt - now);
+  }
+  
+  function releaseRequestSlot() {
+    const next = waitingRequests.shift();
+    if (next) {
+      next();
+    } else {
+      activeRequests--;
+    }
+  }
+  
+  return async function notionRequest(apiCall) {
+    for (let attempt = 0; ; attempt++) {
+      let failure;
+      
+      await acquireRequestSlot();
+      try {
+        return await apiCall();
+      } catch (error) {
+        failure = error;
+      } finally {
+        releaseRequestSlot();
+      }
+      
+      const delay = getRetryDelay(failure, attempt);
+      if (delay === null) {
+        throw failure;
+      }
+      
+      if (failure.status === 429) {
+        // Hold back every queued request, not just this one
+        nextRequestAt = Math.max(nextRequestAt, Date.now() + delay);
+        onRateLimited(delay);
+      }
+      await sleep(delay);
+    }
+  };
+}
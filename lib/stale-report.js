@@ -0,0 +1,158 @@
+import chalk from 'chalk';
+import { formatCSV } from './data-renderers.js';
+import { getNodeUrl } from './notion-utils.js';
+import { escapeTableCell, formatDate, formatNumber, pluralize } from './format-utils.js';
+import { formatPathSegment, formatTreePath } from './tree-path.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Find the pages (including database rows) last edited before `cutoff`,
+// using the metadata the crawler collects with its `metadata` option.
+// `isEmpty(node)` can resolve to whether a stale page without children in
+// the tree has no blocks at all; pages that have children never are. Resolves
+// to `{ cutoff, checked, pages }`, where `checked` is the number of pages
+// with an edit time and each stale page has its title `path`, `url`, edit
+// time and author, `days` since the edit, `empty` (null when not checked)
+// and `staleSubtree`: the number of pages below it when they're all stale
+// too, counted only on the topmost page of such a subtree. Throws if the tree
+// has pages but none of them has an edit time.
+export async function findStalePages(tree, {
+  cutoff,               // Date before which a page counts as stale
+  now = new Date(),     // Date the days since each edit are counted to
+  isEmpty = null,       // async node => whether the page has no blocks
+}) {
+  const pages = [];
+  let checked = 0;
+  
+  function isStale(node) {
+    const editedTime = node.metadata && node.metadata.lastEditedTime;
+    return node.type === 'page' && Boolean(editedTime) && new Date(editedTime) < cutoff;
+  }
+  
+  // The number of pages below each node, and whether they're all stale.
+  // Databases and groups only count through the pages in them.
+  const below = new Map();
+  const { pageCount: totalPages } = (function measure(node) {
+    const result = { pageCount: 0, allStale: true };
+    for (const child of node.children) {
+      const childResult = measure(child);
+      const isPage = child.type === 'page';
+      result.pageCount += childResult.pageCount + (isPage ? 1 : 0);
+      result.allStale = result.allStale && childResult.allStale && (!isPage || isStale(child));
+    }
+    below.set(node, result);
+    return result;
+  })({ type: 'group', children: tree });
+  
+  // List the stale pages in tree order. Inside a subtree that's already
+  // marked as all stale, nested ones aren't marked again.
+  function visit(nodes, parentSegments, inStaleSubtree) {
+    for (const node of nodes) {
+      const segments = [...parentSegments, formatPathSegment(node, nodes)];
+      const { pageCount, allStale } = below.get(node);
+      if (node.type === 'page' && node.metadata && node.metadata.lastEditedTime) {
+        checked++;
+      }
+      
+      const startsStaleSubtree = isStale(node) && allStale && pageCount > 0 && !inStaleSubtree;
+      if (isStale(node)) {
+        const { lastEditedTime, lastEditedBy } = node.metadata;
+        pages.push({
+          node,
+          path: formatTreePath(segments),
+          url: getNodeUrl(node),
+          lastEditedTime,
+          lastEditedBy,
+          days: Math.floor((now - new Date(lastEditedTime)) / DAY),
+          empty: null,
+          staleSubtree: startsStaleSubtree ? pageCount : 0,
+        });
+      }
+      visit(node.children, segments, inStaleSubtree || startsStaleSubtree);
+    }
+  }
+  
+  visit(tree, [], false);
+  if (checked === 0 && totalPages > 0) {
+    throw new Error('No page has a last edited time; crawl with metadata, or export JSON with --metadata');
+  }
+  
+  if (isEmpty) {
+    await Promise.all(pages.map(async entry => {
+      entry.empty = entry.node.children.length > 0 ? false : await isEmpty(entry.node);
+    }));
+  }
+  
+  return { cutoff, checked, pages };
+}
+
+// Notes on a stale page: whether it's empty, and whether everything below it
+// is stale too
+function getFlags(entry) {
+  const flags = [];
+  if (entry.empty) {
+    flags.push('empty');
+  }
+  if (entry.staleSubtree > 0) {
+    flags.push(`whole subtree stale (${pluralize(entry.staleSubtree, 'page')} below)`);
+  }
+  return flags;
+}
+
+function describeEdit(entry) {
+  const by = entry.lastEditedBy ? ` by ${entry.lastEditedBy}` : '';
+  return `edited ${formatDate(entry.lastEditedTime)}${by}, ${pluralize(entry.days, 'day')} ago`;
+}
+
+function describeSummary({ cutoff, checked, pages }) {
+  return `${pluralize(pages.length, 'page')} of ${formatNumber(checked)} not edited since ${formatDate(cutoff.toISOString())}`;
+}
+
+// Render a report from findStalePages for the console: each stale page's
+// path, last edit and flags, with its URL below
+export function renderStaleConsole(report) {
+  const lines = [chalk.bold(`${describeSummary(report)}:`)];
+  for (const entry of report.pages) {
+    const flags = getFlags(entry).map(flag => chalk.yellow(` [${flag}]`)).join('');
+    lines.push(`${chalk.green(entry.path)}${chalk.gray(` · ${describeEdit(entry)}`)}${flags}`);
+    lines.push(chalk.gray(`  ${entry.url}`));
+  }
+  return lines.join('\n');
+}
+
+// Render a report from findStalePages as a Markdown table, linking each page
+export function staleToMarkdown(report, { generatedAt = new Date() } = {}) {
+  let content = '# Stale Notion Pages\n\n';
+  content += 'Generated on: ' + generatedAt.toLocaleString() + '\n\n';
+  content += `${describeSummary(report)}.\n\n`;
+  if (report.pages.length === 0) {
+    return content;
+  }
+  
+  content += '| Page | Last edited | By | Days | Notes |\n';
+  content += '| --- | --- | --- | ---: | --- |\n';
+  for (const entry of report.pages) {
+    const page = `[${escapeTableCell(entry.path).replace(/[[\]]/g, '\\$&')}](${entry.url})`;
+    content += `| ${page} | ${formatDate(entry.lastEditedTime)} | ${escapeTableCell(entry.lastEditedBy || '')} | ${entry.days} | ${escapeTableCell(getFlags(entry).join(', '))} |\n`;
+  }
+  return content;
+}
+
+// Render a report from findStalePages as CSV, one row per stale page. `empty`
+// is left blank for pages that weren't checked.
+export function staleToCSV(report) {
+  return formatCSV([
+    ['path', 'title', 'id', 'url', 'last_edited_time', 'last_edited_by', 'days_since_edit', 'empty', 'stale_pages_below'],
+    ...report.pages.map(entry => [
+      entry.path,
+      entry.node.title,
+      entry.node.id,
+      entry.url,
+      entry.lastEditedTime,
+      entry.lastEditedBy || '',
+      entry.days,
+      entry.empty === null ? '' : entry.empty,
+      entry.staleSubtree,
+    ]),
+  ]);
+}
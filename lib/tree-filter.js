@@ -0,0 +1,84 @@
+// Node types that --type can select
+export const FILTER_TYPES = ['page', 'database'];
+
+// Compile an include/exclude pattern. `/source/flags` is a regular expression
+// that can match anywhere; anything else is a case-insensitive glob matched
+// against the whole string, where `*` and `?` stay within one path segment
+// and `**` spans any number of them.
+export function compilePattern(pattern) {
+  const regexParts = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexParts) {
+    try {
+      // Stateful flags would make repeated tests skip matches
+      return new RegExp(regexParts[1], regexParts[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+    }
+  }
+  
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('/**', i) && i + 3 === pattern.length) {
+      source += '(?:/.*)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (pattern[i] === '*') {
+      source += '[^/]*';
+    } else if (pattern[i] === '?') {
+      source += '[^/]';
+    } else {
+      source += pattern[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Create the checks behind the include/exclude/type/excludeDbRows options.
+// Patterns are tested against a node's title and against its breadcrumb
+// path, the titles from the top of the tree down to it joined with "/".
+// Throws on an invalid pattern or type.
+export function createTreeFilter({
+  include = [],         // Patterns of nodes to keep, along with their ancestors
+  exclude = [],         // Patterns of nodes to drop, along with their subtrees
+  type = null,          // Only keep nodes of this type (and their ancestors)
+  excludeDbRows = false, // Keep databases but drop their rows
+} = {}) {
+  if (type && !FILTER_TYPES.includes(type)) {
+    throw new Error(`Unknown type "${type}". Choose from: ${FILTER_TYPES.join(', ')}`);
+  }
+  
+  const includePatterns = include.map(compilePattern);
+  const excludePatterns = exclude.map(compilePattern);
+  
+  function matchesAny(patterns, node, path) {
+    const pathText = path.join('/');
+    return patterns.some(pattern => pattern.test(node.title) || pattern.test(pathText));
+  }
+  
+  return {
+    // Whether only some nodes are selected, so the rest must be pruned once
+    // the tree is complete
+    isSelective: includePatterns.length > 0 || type !== null,
+    
+    // Excluded nodes are skipped with their whole subtree
+    excludes: (node, path) => matchesAny(excludePatterns, node, path),
+    
+    // Whether database rows that were only counted, not listed, can pass the
+    // include patterns and type: rows are pages, but their titles are unknown
+    selectsUnlistedRows: includePatterns.length === 0 && (!type || type === 'page'),
+    
+    // Whether a node's children are skipped
+    skipsChildren: node => excludeDbRows && node.type === 'database',
+    
+    // Whether a node is selected by the include patterns and type. Nodes that
+    // aren't selected are kept only as ancestors of selected ones.
+    selects: (node, path) => node.type !== 'group'
+      && (!type || node.type === type)
+      && (includePatterns.length === 0 || matchesAny(includePatterns, node, path)),
+  };
+}
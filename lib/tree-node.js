@@ -0,0 +1,42 @@
+// Tree node structure to represent Notion pages
+export class TreeNode {
+  constructor(id, title, type, url = null) {
+    this.id = id;
+    this.title = title;
+    this.type = type; // 'page', 'database', etc.
+    this.url = url;   // Notion URL if available
+    this.children = [];
+    // Crawling with the `metadata` option also sets `metadata`: icon, cover,
+    // createdTime, lastEditedTime, createdBy, lastEditedBy, archived, parent.
+    // The `icons` option sets only the icon.
+    // Databases whose rows were cut short by `maxDbRows` also have `rowCount`,
+    // their true number of rows, and crawling with `schema` sets `schema` on
+    // databases, the list of their Notion property objects.
+  }
+
+  addChild(node) {
+    this.children.push(node);
+  }
+}
+
+// Rebuild TreeNodes from a JSON export written by toJSON. Accepts the parsed
+// export object, its `tree` array, or the raw JSON string. Fields other than
+// the TreeNode basics are kept as they are.
+export function treeFromJSON(data) {
+  if (typeof data === 'string') {
+    data = JSON.parse(data);
+  }
+  
+  const nodes = Array.isArray(data) ? data : data.tree;
+  if (!Array.isArray(nodes)) {
+    throw new Error('Not a Notion tree export: expected a "tree" array');
+  }
+  
+  return nodes.map(function toTreeNode({ id, title, type, url = null, children = [], ...extra }) {
+    const node = Object.assign(new TreeNode(id, title, type, url), extra);
+    for (const child of children) {
+      node.addChild(toTreeNode(child));
+    }
+    return node;
+  });
+}
@@ -0,0 +1,181 @@
+import { compilePattern } from './tree-filter.js';
+
+// Shortest ID prefix accepted after "@" in a path segment
+const MIN_ID_PREFIX_LENGTH = 4;
+
+// Length of the ID prefix formatPathSegment adds to tell siblings apart, if
+// that's enough to tell them apart
+const ID_SUFFIX_LENGTH = 8;
+
+function compactId(id) {
+  return id.replace(/-/g, '').toLowerCase();
+}
+
+// Split a title path like "/Engineering/Runbooks" into its segments. "\/" is
+// a slash inside a title, and leading, trailing and repeated slashes are
+// ignored, so "/" and "" address the top of the tree.
+export function parseTreePath(path) {
+  const segments = [];
+  let segment = '';
+  for (let i = 0; i < path.length; i++) {
+    if (path[i] === '\\' && path[i + 1] === '/') {
+      segment += '/';
+      i++;
+    } else if (path[i] === '/') {
+      segments.push(segment);
+      segment = '';
+    } else {
+      segment += path[i];
+    }
+  }
+  segments.push(segment);
+  return segments.map(part => part.trim()).filter(Boolean);
+}
+
+// The segment that addresses a node among its siblings: its title with
+// slashes escaped, followed by "@" and the start of its ID when a sibling
+// has the same title
+export function formatPathSegment(node, siblings) {
+  const title = node.title.replace(/\//g, '\\/');
+  const lowerTitle = node.title.toLowerCase();
+  const duplicateIds = siblings
+    .filter(sibling => sibling !== node && sibling.title.toLowerCase() === lowerTitle)
+    .map(sibling => compactId(sibling.id));
+  if (duplicateIds.length === 0) {
+    return title;
+  }
+  
+  const id = compactId(node.id);
+  let length = ID_SUFFIX_LENGTH;
+  while (length < id.length && duplicateIds.some(duplicateId => duplicateId.startsWith(id.slice(0, length)))) {
+    length++;
+  }
+  return `${title}@${id.slice(0, length)}`;
+}
+
+// Join path segments into a path string
+export function formatTreePath(segments) {
+  return `/${segments.join('/')}`;
+}
+
+// The children matching one path segment: by exact title, else by title
+// ignoring case. "Title@1a2b3c4d" only matches children whose ID starts with
+// the given hex digits (dashes ignored).
+function matchSegment(segment, children) {
+  const byTitle = title => {
+    const exact = children.filter(child => child.title === title);
+    if (exact.length > 0) {
+      return exact;
+    }
+    const lowerTitle = title.toLowerCase();
+    return children.filter(child => child.title.toLowerCase() === lowerTitle);
+  };
+  
+  // A title that itself ends in "@…" wins over reading that as an ID
+  const matches = byTitle(segment);
+  const idSuffix = new RegExp(`^(.*)@([0-9a-f-]{${MIN_ID_PREFIX_LENGTH},})$`, 'i').exec(segment);
+  if (matches.length > 0 || !idSuffix) {
+    return matches;
+  }
+  
+  const prefix = compactId(idSuffix[2]);
+  return byTitle(idSuffix[1]).filter(child => compactId(child.id).startsWith(prefix));
+}
+
+// Resolve a title path one level at a time. `getChildren(node)` returns, or
+// resolves to, the children of a node, and the top-level nodes for null, so
+// only the nodes along the path have to be fetched. Resolves to the
+// `{ node, segment }` steps from the top of the tree down to the addressed
+// node, where `segment` is the node's unambiguous path segment (an empty
+// array for "/"). Throws when a segment matches no node or more than one.
+export async function resolveTreePath(path, getChildren) {
+  const steps = [];
+  let parent = null;
+  
+  for (const segment of parseTreePath(path)) {
+    const children = await getChildren(parent);
+    const location = formatTreePath(steps.map(step => step.segment));
+    const matches = matchSegment(segment, children);
+    if (matches.length === 0) {
+      throw new Error(`No page or database "${segment}" in ${location}`);
+    }
+    if (matches.length > 1) {
+      const candidates = matches.map(match => `"${formatPathSegment(match, children)}"`).join(', ');
+      throw new Error(`"${segment}" is ambiguous in ${location}; use one of ${candidates}`);
+    }
+    
+    const [node] = matches;
+    steps.push({ node, segment: formatPathSegment(node, children) });
+    parent = node;
+  }
+  
+  return steps;
+}
+
+// Parse an --edited-since style value into a cutoff date: a duration back
+// from `now` such as "12h", "30d", "2w", "6mo" or "1y", or a date such as
+// "2024-05-01". Throws on anything else.
+export function parseTimeCutoff(value, now = new Date()) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const UNITS = { h: DAY / 24, d: DAY, w: 7 * DAY, mo: 30 * DAY, y: 365 * DAY };
+  
+  const duration = /^(\d+(?:\.\d+)?)\s*(h|d|w|mo|y)$/i.exec(value.trim());
+  if (duration) {
+    return new Date(now.getTime() - Number(duration[1]) * UNITS[duration[2].toLowerCase()]);
+  }
+  
+  const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid time "${value}": use a duration like 30d, 12h, 2w, 6mo or 1y, or a date like 2024-05-01`);
+  }
+  return date;
+}
+
+// Walk the subtree below `start` (the top of the tree for null), fetching
+// children with `getChildren` as for resolveTreePath, and resolve to the
+// `{ node, path }` of every node that passes the checks. `path` is the
+// node's title path, built on `startSegments`. Siblings are fetched in
+// parallel; `maxDepth` limits how far below `start` the walk goes.
+export async function findNodes(start, getChildren, {
+  startSegments = [],     // Path segments of `start`
+  name = null,            // Glob or /regex/ the title must match, as for --include
+  type = null,            // Only pages or only databases
+  editedSince = null,     // Date the node must have been edited at or after
+  maxDepth = Infinity,    // Levels below `start` to search
+} = {}) {
+  const namePattern = name ? compilePattern(name) : null;
+  
+  function isMatch(node) {
+    if (node.type === 'group') {
+      return false;
+    }
+    if (namePattern && !namePattern.test(node.title)) {
+      return false;
+    }
+    if (type && node.type !== type) {
+      return false;
+    }
+    if (editedSince) {
+      const editedTime = node.metadata && node.metadata.lastEditedTime;
+      return Boolean(editedTime) && new Date(editedTime) >= editedSince;
+    }
+    return true;
+  }
+  
+  // Results are collected per subtree, then flattened, so they come out in
+  // tree order even though siblings are searched in parallel
+  async function search(node, segments, depth) {
+    const found = node && isMatch(node) ? [{ node, path: formatTreePath(segments) }] : [];
+    if (depth >= maxDepth) {
+      return found;
+    }
+    
+    const children = await getChildren(node);
+    const results = await Promise.all(children.map(child => (
+      search(child, [...segments, formatPathSegment(child, children)], depth + 1)
+    )));
+    return found.concat(...results);
+  }
+  
+  return search(start, startSegments, 0);
+}
@@ -0,0 +1,182 @@
+import chalk from 'chalk';
+import { formatPathSegment, formatTreePath } from './tree-path.js';
+import { escapeTableCell, formatNumber, pluralize } from './format-utils.js';
+
+// Subtrees listed in the console and Markdown statistics
+export const DEFAULT_TOP_SUBTREES = 10;
+
+// A database's rows, including any cut off by maxDbRows
+function getRowCount(node) {
+  return node.type === 'database' ? Math.max(node.rowCount || 0, node.children.length) : 0;
+}
+
+// Count what's below a node and each of its descendants, adding them to the
+// `counts` Map, and return the node's counts
+function countBelow(node, counts) {
+  const subtree = { nodes: 0, pages: 0, databases: 0, rows: getRowCount(node), depth: 0 };
+  for (const child of node.children) {
+    const childCounts = countBelow(child, counts);
+    if (child.type === 'database') {
+      subtree.databases++;
+    } else if (child.type === 'page' && node.type !== 'database') {
+      subtree.pages++;
+    }
+    subtree.pages += childCounts.pages;
+    subtree.databases += childCounts.databases;
+    subtree.rows += childCounts.rows;
+    subtree.depth = Math.max(subtree.depth, childCounts.depth + 1);
+  }
+  
+  // Rows cut off by maxDbRows are still a level below their database
+  if (subtree.rows > 0) {
+    subtree.depth = Math.max(subtree.depth, 1);
+  }
+  subtree.nodes = subtree.pages + subtree.databases + subtree.rows;
+  counts.set(node, subtree);
+  return subtree;
+}
+
+// Count what's below every node: `pages` (other than database rows),
+// `databases`, `rows` of databases, `nodes` (all three together) and `depth`,
+// the number of levels below the node. Returns a Map from node to counts.
+// Rows cut off by maxDbRows are counted, but not what's below them.
+export function countSubtrees(tree) {
+  const counts = new Map();
+  countBelow({ type: 'group', children: tree }, counts);
+  return counts;
+}
+
+// Describe what's below a node, e.g. " · 4 pages, 1 database, 3 rows", for
+// the --counts option. Empty for nodes with nothing below them.
+export function formatSubtreeCounts({ pages, databases, rows }) {
+  const parts = [];
+  if (pages > 0) {
+    parts.push(pluralize(pages, 'page'));
+  }
+  if (databases > 0) {
+    parts.push(pluralize(databases, 'database'));
+  }
+  if (rows > 0) {
+    parts.push(pluralize(rows, 'row'));
+  }
+  return parts.length > 0 ? ` · ${parts.join(', ')}` : '';
+}
+
+// Size statistics of a tree, like `du` for a workspace: the totals, with
+// `maxDepth` counted as --max-depth does (the roots are at depth 0), the
+// widest node (the one with the most children or rows), and every subtree
+// with something below it, largest first, with its title path and counts
+export function computeTreeStats(tree) {
+  const counts = new Map();
+  const { depth, ...totals } = countBelow({ type: 'group', children: tree }, counts);
+  const subtrees = [];
+  let widest = null;
+  
+  (function visit(nodes, parentSegments) {
+    for (const node of nodes) {
+      const segments = [...parentSegments, formatPathSegment(node, nodes)];
+      const path = formatTreePath(segments);
+      const width = Math.max(node.children.length, getRowCount(node));
+      if (width > 0 && (!widest || width > widest.children)) {
+        widest = { id: node.id, title: node.title, type: node.type, path, children: width };
+      }
+      
+      const subtree = counts.get(node);
+      if (subtree.nodes > 0) {
+        subtrees.push({ id: node.id, title: node.title, type: node.type, path, ...subtree });
+      }
+      visit(node.children, segments);
+    }
+  })(tree, []);
+  
+  // Stable, so equally large subtrees stay in tree order
+  subtrees.sort((a, b) => b.nodes - a.nodes);
+  
+  return {
+    totals: { ...totals, maxDepth: Math.max(0, depth - 1) },
+    widest,
+    subtrees,
+  };
+}
+
+// Format a table as lines of padded columns, aligning the columns in
+// `rightAligned` (numbers) to the right
+function formatColumns(rows, rightAligned) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row.map((text, column) => (
+    rightAligned.includes(column) ? text.padStart(widths[column]) : text.padEnd(widths[column])
+  )).join('  ').trimEnd());
+}
+
+const SUBTREE_COLUMNS = ['Nodes', 'Pages', 'Databases', 'Rows', 'Depth', 'Path'];
+
+function toSubtreeRow(subtree) {
+  return [
+    formatNumber(subtree.nodes),
+    formatNumber(subtree.pages),
+    formatNumber(subtree.databases),
+    formatNumber(subtree.rows),
+    formatNumber(subtree.depth),
+    subtree.path,
+  ];
+}
+
+function describeWidest(widest) {
+  const count = widest.type === 'database'
+    ? pluralize(widest.children, 'row')
+    : `${formatNumber(widest.children)} ${widest.children === 1 ? 'child' : 'children'}`;
+  return `${widest.path} (${count})`;
+}
+
+// Render statistics from computeTreeStats as console tables, listing the
+// `top` largest subtrees
+export function renderStatsConsole(stats, { top = DEFAULT_TOP_SUBTREES } = {}) {
+  const { totals, widest, subtrees } = stats;
+  const lines = formatColumns([
+    ['Pages:', formatNumber(totals.pages)],
+    ['Databases:', formatNumber(totals.databases)],
+    ['Rows:', formatNumber(totals.rows)],
+    ['Max depth:', formatNumber(totals.maxDepth)],
+  ], [1]);
+  lines.push(`Widest node: ${widest ? describeWidest(widest) : 'none'}`);
+  
+  if (subtrees.length > 0) {
+    const [header, ...rows] = formatColumns([SUBTREE_COLUMNS, ...subtrees.slice(0, top).map(toSubtreeRow)], [0, 1, 2, 3, 4]);
+    lines.push('', chalk.bold(`Largest subtrees (top ${Math.min(top, subtrees.length)} of ${formatNumber(subtrees.length)}):`));
+    lines.push(chalk.gray(header), ...rows);
+  }
+  
+  return lines.join('\n');
+}
+
+// Render statistics from computeTreeStats as Markdown tables, listing the
+// `top` largest subtrees
+export function statsToMarkdown(stats, { generatedAt = new Date(), top = DEFAULT_TOP_SUBTREES } = {}) {
+  const { totals, widest, subtrees } = stats;
+  let content = '# Notion Workspace Statistics\n\n';
+  content += 'Generated on: ' + generatedAt.toLocaleString() + '\n\n';
+  content += '| Total | Count |\n| --- | ---: |\n';
+  content += `| Pages | ${formatNumber(totals.pages)} |\n`;
+  content += `| Databases | ${formatNumber(totals.databases)} |\n`;
+  content += `| Database rows | ${formatNumber(totals.rows)} |\n`;
+  content += `| Max depth | ${formatNumber(totals.maxDepth)} |\n\n`;
+  content += `Widest node: ${widest ? describeWidest(widest) : 'none'}\n`;
+  
+  if (subtrees.length > 0) {
+    content += '\n## Largest Subtrees\n\n';
+    content += `| ${SUBTREE_COLUMNS.join(' | ')} |\n`;
+    content += '| ---: | ---: | ---: | ---: | ---: | --- |\n';
+    for (const subtree of subtrees.slice(0, top)) {
+      const row = toSubtreeRow(subtree);
+      row[row.length - 1] = escapeTableCell(subtree.path);
+      content += `| ${row.join(' | ')} |\n`;
+    }
+  }
+  
+  return content;
+}
+
+// Serialize statistics from computeTreeStats as JSON, with every subtree
+export function statsToJSON(stats, { generatedAt = new Date() } = {}) {
+  return JSON.stringify({ generated: generatedAt.toISOString(), ...stats }, null, 2);
+}
@@ -0,0 +1,95 @@
+import { TreeNode } from './tree-node.js';
+import { createTreeFilter } from './tree-filter.js';
+
+// Copy a node without its children, keeping any extra fields it carries
+function copyNode(node) {
+  const { children, ...fields } = node;
+  return Object.assign(new TreeNode(node.id, node.title, node.type, node.url), fields);
+}
+
+// Return a copy of the tree cut off below maxDepth, where the roots are at
+// depth 0, matching how the crawler applies --max-depth
+export function limitDepth(tree, maxDepth, depth = 0) {
+  return tree.map(node => {
+    const copy = copyNode(node);
+    if (depth < maxDepth) {
+      for (const child of limitDepth(node.children, maxDepth, depth + 1)) {
+        copy.addChild(child);
+      }
+    } else {
+      // Rows cut off by depth aren't hidden rows, as in a crawl with maxDepth
+      delete copy.rowCount;
+    }
+    return copy;
+  });
+}
+
+// Return a copy of the tree listing at most maxRows rows per database. The
+// true number of rows is recorded as `rowCount` on databases that were cut
+// short, as the crawler does with its maxDbRows option.
+export function limitDbRows(tree, maxRows) {
+  return tree.map(node => {
+    const copy = copyNode(node);
+    let children = node.children;
+    if (node.type === 'database' && children.length > maxRows) {
+      copy.rowCount = Math.max(node.rowCount || 0, children.length);
+      children = children.slice(0, maxRows);
+    }
+    for (const child of limitDbRows(children, maxRows)) {
+      copy.addChild(child);
+    }
+    return copy;
+  });
+}
+
+// Return a copy of the tree with every node's URL removed
+export function withoutUrls(tree) {
+  return tree.map(node => {
+    const copy = copyNode(node);
+    copy.url = null;
+    for (const child of withoutUrls(node.children)) {
+      copy.addChild(child);
+    }
+    return copy;
+  });
+}
+
+// Return a copy of the tree with createTreeFilter's include, exclude, type and
+// excludeDbRows options applied, the same way the crawler applies them
+export function filterTree(tree, filterOptions = {}) {
+  const filter = createTreeFilter(filterOptions);
+  
+  function filterNodes(nodes, parentPath) {
+    const result = [];
+    for (const node of nodes) {
+      const path = [...parentPath, node.title];
+      if (filter.excludes(node, path)) {
+        continue;
+      }
+      
+      const copy = copyNode(node);
+      if (!filter.skipsChildren(node)) {
+        for (const child of filterNodes(node.children, path)) {
+          copy.addChild(child);
+        }
+      }
+      
+      // Rows cut off by maxDbRows are still hidden rows, besides the listed
+      // rows the filter kept, unless the filter could only tell from their
+      // titles. Rows dropped with excludeDbRows aren't hidden rows at all.
+      const hiddenRows = (node.rowCount || 0) - node.children.length;
+      if (hiddenRows > 0 && !filter.skipsChildren(node) && filter.selectsUnlistedRows) {
+        copy.rowCount = copy.children.length + hiddenRows;
+      } else {
+        delete copy.rowCount;
+      }
+      
+      if (!filter.isSelective || copy.children.length > 0 || filter.selects(node, path)) {
+        result.push(copy);
+      }
+    }
+    return result;
+  }
+  
+  return filterNodes(tree, []);
+}
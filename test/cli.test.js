@@ -0,0 +1,827 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadWorkspace, startMockNotion } from './mock-notion/server.js';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+const FULL_TREE = `
+├── Engineering
+│   ├── Runbooks
+│   │   └── Deploy
+│   ├── Toggle Notes
+│   ├── Column Page
+│   ├── Architecture
+│   └── Bug Tracker (Database)
+│       ├── Login fails
+│       ├── Slow search
+│       └── Broken export
+├── Personal
+│   └── Locked
+├── Roadmap
+├── Team Directory (Database)
+│   ├── Alice
+│   └── Bob
+└── Shared without parent
+    └── Shared Subpage
+`.trim();
+
+let workspace;
+let outputDir;
+
+before(async () => {
+  workspace = await loadWorkspace('workspace');
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notion-tree-test-'));
+});
+
+after(async () => {
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+// Run the CLI against a mock Notion API serving the given workspace
+async function runCli(args, fixture = workspace, env = {}) {
+  const mock = await startMockNotion(fixture);
+  try {
+    const result = await new Promise(resolve => {
+      execFile(process.execPath, [CLI_PATH, '-q', '--rate-limit', '1000', ...args], {
+        cwd: outputDir,
+        env: {
+          ...process.env,
+          NOTION_API_KEY: 'secret_test',
+          NOTION_API_BASE_URL: mock.url,
+          FORCE_COLOR: '0',
+          ...env,
+        },
+      }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+    return { ...result, requests: mock.requests };
+  } finally {
+    await mock.close();
+  }
+}
+
+// The tree lines of the console output
+function consoleTree(stdout) {
+  return stdout.split('\n').filter(line => /^[│├└ ]/.test(line)).join('\n');
+}
+
+test('prints the whole workspace in the console, following pagination', async () => {
+  const { code, stdout, requests } = await runCli([]);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), FULL_TREE);
+  assert.match(stdout, /Found 5 root items/);
+  
+  const searchRequests = requests.filter(request => request.path === '/v1/search');
+  assert.ok(searchRequests.length > 2, 'search results should span several pages');
+});
+
+test('crawling in parallel produces the same tree', async () => {
+  const { code, stdout } = await runCli(['-c', '4']);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), FULL_TREE);
+});
+
+test('limits the tree depth', async () => {
+  const { stdout } = await runCli(['-d', '1']);
+  
+  assert.equal(consoleTree(stdout), `
+├── Engineering
+│   ├── Runbooks
+│   ├── Toggle Notes
+│   ├── Column Page
+│   ├── Architecture
+│   └── Bug Tracker (Database)
+├── Personal
+│   └── Locked
+├── Roadmap
+├── Team Directory (Database)
+│   ├── Alice
+│   └── Bob
+└── Shared without parent
+    └── Shared Subpage
+`.trim());
+});
+
+test('starts from a page given as a Notion URL', async () => {
+  const { stdout } = await runCli(['-r', 'https://www.notion.so/acme/Runbooks-a0000000000040008000000000000002?pvs=4']);
+  
+  assert.equal(consoleTree(stdout), '└── Runbooks\n    └── Deploy');
+});
+
+test('starts from a database without logging the page lookup that fails', async () => {
+  const { code, stdout, stderr } = await runCli(['--no-cache', '-r', 'd0000000-0000-4000-8000-000000000002']);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), '└── Team Directory (Database)\n    ├── Alice\n    └── Bob');
+  assert.doesNotMatch(stderr, /request fail/);
+});
+
+test('reports pages the integration cannot read and keeps going', async () => {
+  const { code, stdout, stderr } = await runCli([]);
+  
+  assert.equal(code, 0);
+  assert.match(stderr, /Error fetching children for page a0000000-0000-4000-8000-000000000008/);
+  assert.match(consoleTree(stdout), /└── Locked/);
+});
+
+test('retries rate-limited requests', async () => {
+  const { code, stdout, requests } = await runCli([], { ...workspace, rateLimitedRequests: [1, 4] });
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), FULL_TREE);
+  assert.deepEqual(requests[0], requests[1], 'the rate-limited request should be repeated');
+});
+
+test('fails cleanly on an unknown root', async () => {
+  const { code, stderr } = await runCli(['-r', 'f0000000000040008000000000000099']);
+  
+  assert.equal(code, 1);
+  assert.match(stderr, /No page or database f0000000-0000-4000-8000-000000000099 found/);
+});
+
+test('exports Markdown, ASCII Markdown and JSON files', async () => {
+  const output = path.join(outputDir, 'export');
+  const { code, stdout } = await runCli(['-f', 'all', '-a', '-u', '-d', '1', '-r', 'a0000000-0000-4000-8000-000000000001', '-o', output]);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, /Tree exported to Markdown file/);
+  
+  const markdown = await fs.readFile(`${output}.md`, 'utf8');
+  assert.match(markdown, /^# Notion Workspace Structure\n\nGenerated on: .+\n\n/);
+  assert.equal(markdown.split('\n\n').slice(2).join('\n\n'), [
+    '- [Engineering](https://www.notion.so/a0000000000040008000000000000001)',
+    '  - [Runbooks](https://www.notion.so/a0000000000040008000000000000002)',
+    '  - [Toggle Notes](https://www.notion.so/a0000000000040008000000000000005)',
+    '  - [Column Page](https://www.notion.so/a0000000000040008000000000000006)',
+    '  - [Architecture](https://www.notion.so/a0000000000040008000000000000004)',
+    '  - [Bug Tracker (Database)](https://www.notion.so/d0000000000040008000000000000001)',
+    '',
+  ].join('\n'));
+  
+  const ascii = await fs.readFile(`${output}-ascii.md`, 'utf8');
+  assert.equal(ascii.slice(ascii.indexOf('```')), [
+    '```',
+    '└── Engineering [1]',
+    '    ├── Runbooks [2]',
+    '    ├── Toggle Notes [3]',
+    '    ├── Column Page [4]',
+    '    ├── Architecture [5]',
+    '    └── Bug Tracker (Database) [6]',
+    '```',
+    '',
+    '',
+    '### Links',
+    '',
+    '[1]: https://www.notion.so/a0000000000040008000000000000001',
+    '[2]: https://www.notion.so/a0000000000040008000000000000002',
+    '[3]: https://www.notion.so/a0000000000040008000000000000005',
+    '[4]: https://www.notion.so/a0000000000040008000000000000006',
+    '[5]: https://www.notion.so/a0000000000040008000000000000004',
+    '[6]: https://www.notion.so/d0000000000040008000000000000001',
+    '',
+  ].join('\n'));
+
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  assert.deepEqual(json.options, { maxDepth: 1, includeUrls: true });
+  assert.equal(json.tree.length, 1);
+  assert.equal(json.tree[0].id, 'a0000000-0000-4000-8000-000000000001');
+  assert.deepEqual(json.tree[0].children.map(child => [child.title, child.type]), [
+    ['Runbooks', 'page'],
+    ['Toggle Notes', 'page'],
+    ['Column Page', 'page'],
+    ['Architecture', 'page'],
+    ['Bug Tracker', 'database'],
+  ]);
+});
+
+test('only refetches the children of pages edited since the last crawl', async () => {
+  // IDs whose child blocks or database rows were requested
+  function childListIds(requests) {
+    return [...new Set(requests
+      .filter(request => /\/(children|query)$/.test(request.path))
+      .map(request => request.path.split('/')[3]))];
+  }
+  
+  const first = await runCli(['--refresh']);
+  assert.equal(first.code, 0);
+  assert.match(first.stdout, /Reused 0 of 17 cached child lists \(0% hit rate\)/);
+  
+  const second = await runCli([]);
+  assert.equal(consoleTree(second.stdout), FULL_TREE);
+  assert.match(second.stdout, /Reused 16 of 17 cached child lists \(94% hit rate\)/);
+  assert.deepEqual(childListIds(second.requests), ['a0000000-0000-4000-8000-000000000008'], 'only the unreadable page should be retried');
+  
+  const runbooksId = 'a0000000-0000-4000-8000-000000000002';
+  const rollbackId = 'a0000000-0000-4000-8000-000000000016';
+  const edited = {
+    ...workspace,
+    pages: [
+      ...workspace.pages.map(page => page.id === runbooksId ? { ...page, last_edited_time: '2024-02-01T00:00:00.000Z' } : page),
+      { id: rollbackId, title: 'Rollback', parent: { type: 'page_id', page_id: runbooksId } },
+    ],
+    blocks: {
+      ...workspace.blocks,
+      [runbooksId]: [...workspace.blocks[runbooksId], { id: rollbackId, type: 'child_page' }],
+    },
+  };
+  const third = await runCli([], edited);
+  assert.match(consoleTree(third.stdout), /│   ├── Runbooks\n│   │   ├── Deploy\n│   │   └── Rollback\n/);
+  assert.deepEqual(childListIds(third.requests).sort(), [runbooksId, 'a0000000-0000-4000-8000-000000000008', rollbackId].sort());
+  
+  const uncached = await runCli(['--no-cache']);
+  assert.equal(consoleTree(uncached.stdout), FULL_TREE);
+  assert.doesNotMatch(uncached.stdout, /cached child lists/);
+});
+
+test('does not reuse child lists of pages edited within the last minute', async () => {
+  const runbooksId = 'a0000000-0000-4000-8000-000000000002';
+  // Notion's edit times are rounded down to the minute
+  const thisMinute = new Date(Math.floor(Date.now() / 60000) * 60000).toISOString();
+  const justEdited = {
+    ...workspace,
+    pages: workspace.pages.map(page => page.id === runbooksId ? { ...page, last_edited_time: thisMinute } : page),
+  };
+  
+  const first = await runCli(['--refresh'], justEdited);
+  assert.equal(first.code, 0);
+  
+  const second = await runCli([], justEdited);
+  assert.match(second.stdout, /Reused 15 of 17 cached child lists/);
+  const childLists = second.requests.filter(request => request.path.endsWith('/children')).map(request => request.path.split('/')[3]);
+  assert.ok(childLists.includes(runbooksId), 'the recently edited page should be refetched');
+});
+
+test('adds node metadata to the JSON export and shows selected fields', async () => {
+  const decorated = {
+    ...workspace,
+    pages: workspace.pages.map(page => page.title === 'Runbooks'
+      ? { ...page, icon: { type: 'emoji', emoji: '📘' }, last_edited_time: '2024-03-05T10:00:00.000Z', last_edited_by: 'user-2' }
+      : page),
+  };
+  const output = path.join(outputDir, 'metadata');
+  const { code, stdout } = await runCli(['--show', 'edited,icon', '-d', '1', '-r', 'a0000000-0000-4000-8000-000000000001', '-f', 'all', '-o', output], decorated);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout).split('\n').slice(0, 3).join('\n'), [
+    '└── Engineering · edited 2024-01-01',
+    '    ├── Runbooks · edited 2024-03-05 · icon 📘',
+    '    ├── Toggle Notes · edited 2024-01-01',
+  ].join('\n'));
+  
+  const markdown = await fs.readFile(`${output}.md`, 'utf8');
+  assert.match(markdown, /^ {2}- Bug Tracker \(Database\) · edited 2024-01-01$/m);
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  assert.deepEqual(json.tree[0].children[0].metadata, {
+    icon: { type: 'emoji', emoji: '📘' },
+    cover: null,
+    createdTime: '2024-01-01T00:00:00.000Z',
+    lastEditedTime: '2024-03-05T10:00:00.000Z',
+    createdBy: 'user-1',
+    lastEditedBy: 'user-2',
+    archived: false,
+    parent: { type: 'page_id', page_id: 'a0000000-0000-4000-8000-000000000001' },
+  });
+  
+  const withIcons = await runCli(['--icons', '-d', '1', '-r', 'a0000000-0000-4000-8000-000000000001'], decorated);
+  assert.match(consoleTree(withIcons.stdout), /^└── 📄 Engineering\n {4}├── 📘 Runbooks\n/);
+  const iconsOutput = path.join(outputDir, 'icons');
+  assert.equal((await runCli(['--icons', '-f', 'json', '-d', '1', '-r', 'a0000000-0000-4000-8000-000000000001', '-o', iconsOutput], decorated)).code, 0);
+  const iconsJson = JSON.parse(await fs.readFile(`${iconsOutput}.json`, 'utf8'));
+  assert.deepEqual(iconsJson.tree[0].children[0].metadata, { icon: { type: 'emoji', emoji: '📘' } });
+  
+  const unknown = await runCli(['--show', 'colour']);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /unknown --show field "colour"/);
+});
+
+test('exports a standalone HTML page', async () => {
+  const output = path.join(outputDir, 'html');
+  const { code } = await runCli(['-f', 'html', '-u', '--icons', '-d', '1', '-r', 'a0000000-0000-4000-8000-000000000001', '-o', output]);
+  
+  assert.equal(code, 0);
+  const html = await fs.readFile(`${output}.html`, 'utf8');
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(html, /<(link|script) [^>]*(href|src)=/, 'the page should not load external assets');
+  assert.match(html, /<li class="page" data-title="Engineering"><details open><summary><span class="title">📄 <a href="https:\/\/www\.notion\.so\/a0000000000040008000000000000001">Engineering<\/a><\/span><\/summary>/);
+  assert.match(html, /<li class="database leaf" data-title="Bug Tracker"><span class="title">🗃️ <a href="[^"]+">Bug Tracker<\/a> <span class="type">\(Database\)<\/span><\/span><\/li>/);
+});
+
+test('exports diagrams with database rows collapsed', async () => {
+  const output = path.join(outputDir, 'diagram');
+  const { code } = await runCli(['-f', 'mermaid', '--diagram-rows', '1', '-r', 'd0000000-0000-4000-8000-000000000001', '-o', output]);
+  
+  assert.equal(code, 0);
+  assert.equal(await fs.readFile(`${output}.mmd`, 'utf8'), [
+    'flowchart LR',
+    '  n1[("Bug Tracker")]',
+    '  n2["Login fails"]',
+    '  n3(["… and 2 more rows"])',
+    '  n1 --> n2',
+    '  n1 --> n3',
+    '',
+  ].join('\n'));
+});
+
+test('exports a flat CSV table with one row per node', async () => {
+  const output = path.join(outputDir, 'table');
+  const { code } = await runCli(['-f', 'csv', '-u', '-r', 'd0000000-0000-4000-8000-000000000001', '-o', output]);
+  
+  assert.equal(code, 0);
+  const rows = (await fs.readFile(`${output}.csv`, 'utf8')).split('\r\n');
+  assert.equal(rows[0], 'id,title,type,depth,parent_id,path,url');
+  assert.equal(rows[1], 'd0000000-0000-4000-8000-000000000001,Bug Tracker,database,0,,Bug Tracker,https://www.notion.so/d0000000000040008000000000000001');
+  assert.equal(rows[2], 'a0000000-0000-4000-8000-000000000011,Login fails,page,1,d0000000-0000-4000-8000-000000000001,Bug Tracker / Login fails,https://www.notion.so/a0000000000040008000000000000011');
+  assert.deepEqual(rows.slice(4), ['a0000000-0000-4000-8000-000000000013,Broken export,page,1,d0000000-0000-4000-8000-000000000001,Bug Tracker / Broken export,https://www.notion.so/a0000000000040008000000000000013', '']);
+});
+
+test('replays a recorded crawl without a token or network', async () => {
+  const fixtureDir = path.join(outputDir, 'recorded');
+  // The first request is rate limited, so its fixture holds both attempts
+  const recorded = await runCli(['-c', '3', '-u', '--record', fixtureDir], { ...workspace, rateLimitedRequests: [1] });
+  assert.equal(recorded.code, 0);
+  
+  const replayed = await runCli(['-u', '--replay', fixtureDir], workspace, { NOTION_API_KEY: '' });
+  
+  assert.equal(replayed.code, 0);
+  assert.equal(replayed.requests.length, 0, 'replay should not touch the API');
+  assert.equal(consoleTree(replayed.stdout), FULL_TREE);
+  
+  const fixtures = await Promise.all((await fs.readdir(fixtureDir)).map(async file => (
+    JSON.parse(await fs.readFile(path.join(fixtureDir, file), 'utf8'))
+  )));
+  assert.ok(fixtures.every(fixture => Object.keys(fixture).join() === 'request,responses'));
+  assert.doesNotMatch(JSON.stringify(fixtures), /secret_test/);
+  const retried = fixtures.filter(fixture => fixture.responses.length > 1);
+  assert.equal(retried.length, 1);
+  assert.deepEqual(retried[0].responses.map(response => [response.status, response.headers['retry-after']]), [[429, '1'], [200, undefined]]);
+});
+
+test('re-renders a JSON export without crawling', async () => {
+  const exported = path.join(outputDir, 'full');
+  const crawled = await runCli(['-f', 'json', '-u', '-o', exported]);
+  assert.equal(crawled.code, 0);
+  
+  const rendered = path.join(outputDir, 'rendered');
+  const { code, stdout, requests } = await runCli(
+    ['--input', `${exported}.json`, '-d', '1', '-r', 'ignored', '-f', 'all', '-o', rendered],
+    workspace,
+    { NOTION_API_KEY: '' },
+  );
+  
+  assert.equal(code, 0);
+  assert.equal(requests.length, 0, 'rendering an export should not touch the API');
+  assert.match(consoleTree(stdout), /^├── Engineering\n│   ├── Runbooks\n│   ├── Toggle Notes\n/);
+  assert.doesNotMatch(consoleTree(stdout), /Deploy/);
+  
+  const markdown = await fs.readFile(`${rendered}.md`, 'utf8');
+  assert.match(markdown, /^ {2}- Runbooks$/m, 'URLs should be dropped without --include-urls');
+  
+  const json = JSON.parse(await fs.readFile(`${rendered}.json`, 'utf8'));
+  assert.deepEqual(json.tree[0].children[0], {
+    id: 'a0000000-0000-4000-8000-000000000002',
+    title: 'Runbooks',
+    type: 'page',
+    url: null,
+    children: [],
+  });
+});
+
+test('skips excluded subtrees and database rows while crawling', async () => {
+  const { code, stdout, requests } = await runCli(['--no-cache', '--exclude', 'runbooks', '--exclude-db-rows']);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), `
+├── Engineering
+│   ├── Toggle Notes
+│   ├── Column Page
+│   ├── Architecture
+│   └── Bug Tracker (Database)
+├── Personal
+│   └── Locked
+├── Roadmap
+├── Team Directory (Database)
+└── Shared without parent
+    └── Shared Subpage
+`.trim());
+  assert.ok(!requests.some(request => request.path.endsWith('/query')), 'database rows should not be queried');
+  assert.ok(!requests.some(request => request.path.includes('a0000000-0000-4000-8000-000000000002')), 'Runbooks should not be crawled');
+  
+  const invalid = await runCli(['--include', '/[/']);
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, /Invalid pattern "\/\[\/"/);
+});
+
+test('keeps only the selected types and paths, with their ancestors', async () => {
+  const { code, stdout } = await runCli(['--type', 'database']);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), `
+├── Engineering
+│   └── Bug Tracker (Database)
+└── Team Directory (Database)
+`.trim());
+  
+  const exported = path.join(outputDir, 'filter-input');
+  assert.equal((await runCli(['-f', 'json', '-o', exported])).code, 0);
+  const rendered = await runCli(['--input', `${exported}.json`, '--include', '**/Deploy', '--include', 'Team Directory/*']);
+  assert.equal(consoleTree(rendered.stdout), `
+├── Engineering
+│   └── Runbooks
+│       └── Deploy
+└── Team Directory (Database)
+    ├── Alice
+    └── Bob
+`.trim());
+});
+
+test('lists the first rows of each database and counts the rest', async () => {
+  const output = path.join(outputDir, 'db-rows');
+  const { code, stdout } = await runCli(['--no-cache', '--max-db-rows', '1', '--sort-db-rows', 'Name', '-f', 'all', '-o', output]);
+  
+  assert.equal(code, 0);
+  assert.match(consoleTree(stdout), /│   └── Bug Tracker \(Database\)\n│       ├── Broken export\n│       └── … and 2 more rows\n/);
+  assert.match(consoleTree(stdout), /├── Team Directory \(Database\)\n│   ├── Alice\n│   └── … and 1 more row\n/);
+  assert.match(await fs.readFile(`${output}.md`, 'utf8'), /^ {2}- Bug Tracker \(Database\)\n {4}- Broken export\n {4}- _… and 2 more rows_$/m);
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  const bugTracker = json.tree[0].children[4];
+  assert.equal(bugTracker.rowCount, 3);
+  assert.deepEqual(bugTracker.children.map(child => child.title), ['Broken export']);
+  
+  // Databases without the sort property list their rows unsorted
+  const unsorted = await runCli(['--no-cache', '--max-db-rows', '2', '--sort-db-rows', 'Priority:desc', '-r', 'd0000000-0000-4000-8000-000000000001']);
+  assert.doesNotMatch(unsorted.stderr, /Error fetching/);
+  assert.equal(consoleTree(unsorted.stdout), '└── Bug Tracker (Database)\n    ├── Login fails\n    ├── Slow search\n    └── … and 1 more row');
+  
+  // Rows dropped with --exclude-db-rows aren't summarized as hidden rows
+  const rendered = await runCli(['--input', `${output}.json`, '--max-db-rows', '1', '--exclude-db-rows']);
+  assert.match(consoleTree(rendered.stdout), /│   └── Bug Tracker \(Database\)\n├── Personal\n/);
+  assert.doesNotMatch(rendered.stdout, /more row/);
+});
+
+test('counts only the rows that pass the filters as hidden rows', async () => {
+  const bugTrackerId = 'd0000000-0000-4000-8000-000000000001';
+  const excluded = await runCli(['--no-cache', '--exclude', 'Login fails', '--max-db-rows', '1', '-r', bugTrackerId]);
+  assert.equal(consoleTree(excluded.stdout), '└── Bug Tracker (Database)\n    ├── Slow search\n    └── … and 1 more row');
+  
+  const databasesOnly = await runCli(['--no-cache', '--type', 'database', '--max-db-rows', '1']);
+  assert.equal(consoleTree(databasesOnly.stdout), `
+├── Engineering
+│   └── Bug Tracker (Database)
+└── Team Directory (Database)
+`.trim());
+  
+  // The same filters on a JSON export made with --max-db-rows
+  const exported = path.join(outputDir, 'filtered-rows');
+  assert.equal((await runCli(['--no-cache', '--max-db-rows', '1', '-f', 'json', '-o', exported])).code, 0);
+  const rendered = await runCli(['--input', `${exported}.json`, '--exclude', 'Login fails']);
+  assert.match(consoleTree(rendered.stdout), /│   └── Bug Tracker \(Database\)\n│       └── … and 2 more rows\n/);
+  const renderedDatabases = await runCli(['--input', `${exported}.json`, '--type', 'database']);
+  assert.doesNotMatch(renderedDatabases.stdout, /more row/);
+  
+  // Databases cut off by depth have no rows to summarize
+  const shallow = await runCli(['--input', `${exported}.json`, '-d', '1']);
+  assert.match(consoleTree(shallow.stdout), /│   └── Bug Tracker \(Database\)\n├── Personal\n/);
+  assert.match(consoleTree(shallow.stdout), /├── Team Directory \(Database\)\n│   ├── Alice\n│   └── … and 1 more row\n/);
+});
+
+test('lists database properties with --schema', async () => {
+  const output = path.join(outputDir, 'schema');
+  const { code, stdout } = await runCli(['--schema', '-r', 'd0000000-0000-4000-8000-000000000001', '-f', 'all', '-o', output]);
+  
+  assert.equal(code, 0);
+  assert.equal(consoleTree(stdout), `
+└── Bug Tracker (Database)
+    │ Name: title
+    │ Priority: select (High, Low)
+    │ Reported: date
+    │ Status: status (Open, Fixed)
+    ├── Login fails
+    ├── Slow search
+    └── Broken export
+`.trim());
+  assert.match(await fs.readFile(`${output}.md`, 'utf8'), /^- Bug Tracker \(Database\)\n {2}- _Properties_\n {4}- Name: title\n {4}- Priority: select \(High, Low\)\n/m);
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  const status = json.tree[0].schema.find(property => property.name === 'Status');
+  assert.deepEqual(status.status.options.map(option => option.name), ['Open', 'Fixed']);
+});
+
+test('exports page content as a directory of Markdown files', async () => {
+  const deployId = 'a0000000-0000-4000-8000-000000000003';
+  const text = content => ({ type: 'text', text: { content }, plain_text: content, annotations: {}, href: null });
+  const withContent = {
+    ...workspace,
+    blocks: {
+      ...workspace.blocks,
+      [deployId]: [
+        { id: 'c0000000-0000-4000-8000-000000000010', type: 'heading_1', heading_1: { rich_text: [text('Steps')] } },
+        { id: 'c0000000-0000-4000-8000-000000000011', type: 'numbered_list_item', numbered_list_item: { rich_text: [text('Read '), {
+          type: 'mention',
+          mention: { type: 'page', page: { id: 'a0000000-0000-4000-8000-000000000004' } },
+          plain_text: 'Architecture',
+          href: 'https://www.notion.so/a0000000000040008000000000000004',
+        }] } },
+        { id: 'c0000000-0000-4000-8000-000000000012', type: 'code', code: { rich_text: [text('make deploy')], language: 'shell', caption: [] } },
+      ],
+    },
+  };
+  const output = path.join(outputDir, 'content');
+  const { code, stdout } = await runCli(['export-content', '-r', 'a0000000-0000-4000-8000-000000000001', '-o', output], withContent);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, /Exported 9 pages and 1 databases to /);
+  assert.equal(
+    await fs.readFile(path.join(output, 'Engineering', 'Runbooks', 'Deploy.md'), 'utf8'),
+    '# Deploy\n\n# Steps\n\n1. Read [Architecture](../Architecture.md)\n\n```shell\nmake deploy\n```\n',
+  );
+  assert.equal(
+    await fs.readFile(path.join(output, 'Engineering', 'Bug Tracker.csv'), 'utf8'),
+    'Name\r\nLogin fails\r\nSlow search\r\nBroken export\r\n',
+  );
+  assert.match(
+    await fs.readFile(path.join(output, 'Engineering', 'Bug Tracker', 'index.md'), 'utf8'),
+    /^# Bug Tracker \(Database\)\n\nRow properties: \[Bug Tracker\.csv\]\(\.\.\/Bug%20Tracker\.csv\)\n\n- \[Login fails\]\(Login%20fails\.md\)\n/,
+  );
+  
+  const index = await fs.readFile(path.join(output, 'index.md'), 'utf8');
+  assert.match(index, /^# Notion Workspace Export\n/);
+  assert.match(index, /^- \[Engineering\]\(Engineering\/index\.md\)\n {2}- \[Runbooks\]\(Engineering\/Runbooks\/index\.md\)\n {4}- \[Deploy\]\(Engineering\/Runbooks\/Deploy\.md\)\n/m);
+});
+
+test('exports the rest of a page when nested blocks cannot be fetched', async () => {
+  const deployId = 'a0000000-0000-4000-8000-000000000003';
+  const syncedId = 'c0000000-0000-4000-8000-000000000030';
+  const originalId = 'c0000000-0000-4000-8000-000000000031';
+  const text = content => ({ type: 'text', text: { content }, plain_text: content, annotations: {}, href: null });
+  const withUnsharedOriginal = {
+    ...workspace,
+    blocks: {
+      ...workspace.blocks,
+      [deployId]: [
+        { id: 'c0000000-0000-4000-8000-000000000032', type: 'paragraph', paragraph: { rich_text: [text('Before')] } },
+        { id: syncedId, type: 'synced_block', synced_block: { synced_from: { type: 'block_id', block_id: originalId } } },
+        { id: 'c0000000-0000-4000-8000-000000000033', type: 'paragraph', paragraph: { rich_text: [text('After')] } },
+      ],
+      [syncedId]: [],
+    },
+    errors: { ...workspace.errors, [originalId]: 'object_not_found' },
+  };
+  const output = path.join(outputDir, 'content-partial');
+  const { code, stderr } = await runCli(['export-content', '-r', 'a0000000-0000-4000-8000-000000000002', '-o', output], withUnsharedOriginal);
+  
+  assert.equal(code, 0);
+  assert.match(stderr, new RegExp(`Error fetching nested blocks of block ${originalId}`));
+  assert.equal(
+    await fs.readFile(path.join(output, 'Runbooks', 'Deploy.md'), 'utf8'),
+    `# Deploy\n\nBefore\n\n<!-- Nested blocks could not be fetched: Could not find object with ID: ${originalId}. Make sure the relevant pages and databases are shared with your integration. -->\n\nAfter\n`,
+  );
+});
+
+test('lists, finds and describes nodes by title path', async () => {
+  const engineeringId = 'a0000000-0000-4000-8000-000000000001';
+  const recent = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const withDuplicate = {
+    ...workspace,
+    pages: [
+      ...workspace.pages.map(page => (page.title === 'Deploy' ? { ...page, last_edited_time: recent } : page)),
+      { id: 'a0000000-0000-4000-8000-000000000016', title: 'Runbooks', parent: { type: 'page_id', page_id: engineeringId } },
+    ],
+    blocks: {
+      ...workspace.blocks,
+      [engineeringId]: [...workspace.blocks[engineeringId], { id: 'a0000000-0000-4000-8000-000000000016', type: 'child_page' }],
+    },
+  };
+  
+  const ls = await runCli(['--no-cache', 'ls', '/engineering'], withDuplicate);
+  assert.equal(ls.code, 0);
+  assert.equal(ls.stdout.split('\n').filter(line => line && !line.startsWith('[dotenv')).join('\n'), [
+    'Runbooks@a000000000004000800000000000000',
+    'Toggle Notes',
+    'Column Page',
+    'Architecture',
+    'Bug Tracker (Database)',
+    'Runbooks@a000000000004000800000000000001',
+  ].join('\n'));
+  
+  const ambiguous = await runCli(['--no-cache', 'stat', '/Engineering/Runbooks'], withDuplicate);
+  assert.equal(ambiguous.code, 1);
+  assert.match(ambiguous.stderr, /"Runbooks" is ambiguous in \/Engineering; use one of "Runbooks@a000000000004000800000000000000", "Runbooks@a000000000004000800000000000001"/);
+  
+  const stat = await runCli(['--no-cache', 'stat', '/Engineering/Runbooks@a000000000004000800000000000000/Deploy'], withDuplicate);
+  assert.equal(stat.code, 0);
+  assert.match(stat.stdout, /^ID: +a0000000-0000-4000-8000-000000000003$/m);
+  assert.match(stat.stdout, /^URL: +https:\/\/www\.notion\.so\/a0000000000040008000000000000003$/m);
+  assert.match(stat.stdout, /^Parents: +\/Engineering \(a0000000-0000-4000-8000-000000000001\)\n +\/Engineering\/Runbooks@a000000000004000800000000000000 \(a0000000-0000-4000-8000-000000000002\)$/m);
+  assert.match(stat.stdout, new RegExp(`^Edited: +${recent.replace(/\./g, '\\.')} by user-1$`, 'm'));
+  
+  const databases = await runCli(['--no-cache', 'find', '/', '--type', 'database'], withDuplicate);
+  assert.match(databases.stdout, /^\/Engineering\/Bug Tracker\n\/Team Directory\n$/m);
+  
+  const edited = await runCli(['--no-cache', 'find', '/Engineering', '--name', 'd*', '--edited-since', '30d'], withDuplicate);
+  assert.match(edited.stdout, /^\/Engineering\/Runbooks@a000000000004000800000000000000\/Deploy\n$/m);
+  
+  const missing = await runCli(['ls', '/Engineering/Nope']);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /No page or database "Nope" in \/Engineering/);
+});
+
+test('reports workspace statistics and per-node counts', async () => {
+  const output = path.join(outputDir, 'stats');
+  const { code, stdout } = await runCli(['stats', '-f', 'all', '-o', output]);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, /^Pages: +10\nDatabases: +2\nRows: +5\nMax depth: +2\nWidest node: \/Engineering \(5 children\)$/m);
+  assert.match(stdout, /^Nodes {2}Pages {2}Databases {2}Rows {2}Depth {2}Path\n {4}9 {6}5 {10}1 {5}3 {6}2 {2}\/Engineering\n {4}3 {6}0 {10}0 {5}3 {6}1 {2}\/Engineering\/Bug Tracker\n/m);
+  assert.match(await fs.readFile(`${output}.md`, 'utf8'), /^\| 2 \| 0 \| 0 \| 2 \| 1 \| \/Team Directory \|$/m);
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  assert.deepEqual(json.totals, { nodes: 17, pages: 10, databases: 2, rows: 5, maxDepth: 2 });
+  assert.deepEqual(json.subtrees.map(subtree => subtree.path), [
+    '/Engineering',
+    '/Engineering/Bug Tracker',
+    '/Team Directory',
+    '/Engineering/Runbooks',
+    '/Personal',
+    '/Shared without parent',
+  ]);
+  
+  const counted = await runCli(['--counts', '--max-db-rows', '1', '-d', '1']);
+  assert.equal(consoleTree(counted.stdout), `
+├── Engineering · 4 pages, 1 database
+│   ├── Runbooks
+│   ├── Toggle Notes
+│   ├── Column Page
+│   ├── Architecture
+│   └── Bug Tracker (Database)
+├── Personal · 1 page
+│   └── Locked
+├── Roadmap
+├── Team Directory (Database) · 2 rows
+│   ├── Alice
+│   └── … and 1 more row
+└── Shared without parent · 1 page
+    └── Shared Subpage
+`.trim());
+});
+
+test('reports stale pages, empty pages and fully stale subtrees', async () => {
+  const recentlyEdited = ['Engineering', 'Architecture', 'Slow search', 'Broken export'];
+  const edited = {
+    ...workspace,
+    pages: workspace.pages.map(page => (recentlyEdited.includes(page.title) ? { ...page, last_edited_time: '2024-09-01T00:00:00.000Z' } : page)),
+  };
+  const output = path.join(outputDir, 'stale');
+  const { code, stdout, stderr } = await runCli(['--no-cache', '--stale', '2024-06-01', '-r', 'a0000000-0000-4000-8000-000000000001', '-f', 'all', '-o', output], edited);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, /^5 pages of 9 not edited since 2024-06-01:$/m);
+  assert.deepEqual(stdout.split('\n').filter(line => line.startsWith('/')).map(line => line.replace(/ · edited .*? ago/, '')), [
+    '/Engineering/Runbooks [whole subtree stale (1 page below)]',
+    '/Engineering/Runbooks/Deploy [empty]',
+    '/Engineering/Toggle Notes [empty]',
+    '/Engineering/Column Page [empty]',
+    '/Engineering/Bug Tracker/Login fails [empty]',
+  ]);
+  assert.match(stdout, /^\/Engineering\/Runbooks · edited 2024-01-01 by user-1, [\d,]+ days ago/m);
+  assert.match(stdout, /^ {2}https:\/\/www\.notion\.so\/a0000000000040008000000000000002$/m);
+  assert.doesNotMatch(stderr, /Error checking content/);
+  
+  assert.match(await fs.readFile(`${output}.md`, 'utf8'), /^\| \[\/Engineering\/Runbooks\/Deploy\]\(https:\/\/www\.notion\.so\/a0000000000040008000000000000003\) \| 2024-01-01 \| user-1 \| \d+ \| empty \|$/m);
+  const csv = (await fs.readFile(`${output}.csv`, 'utf8')).split('\r\n');
+  assert.equal(csv[0], 'path,title,id,url,last_edited_time,last_edited_by,days_since_edit,empty,stale_pages_below');
+  assert.match(csv[1], /^\/Engineering\/Runbooks,Runbooks,a0000000-0000-4000-8000-000000000002,https:\/\/www\.notion\.so\/a0000000000040008000000000000002,2024-01-01T00:00:00\.000Z,user-1,\d+,false,1$/);
+});
+
+test('audits which pages the integration cannot access', async () => {
+  const deployId = 'a0000000-0000-4000-8000-000000000003';
+  const mention = id => ({ type: 'mention', mention: { type: 'page', page: { id } }, plain_text: 'Page', href: null });
+  const withLinks = {
+    ...workspace,
+    blocks: {
+      ...workspace.blocks,
+      [deployId]: [
+        { id: 'c0000000-0000-4000-8000-000000000020', type: 'link_to_page', link_to_page: { type: 'page_id', page_id: 'f0000000-0000-4000-8000-000000000002' } },
+        { id: 'c0000000-0000-4000-8000-000000000021', type: 'paragraph', paragraph: { rich_text: [
+          mention('a0000000-0000-4000-8000-000000000004'),
+          mention('f0000000-0000-4000-8000-000000000003'),
+        ] } },
+      ],
+    },
+  };
+  const output = path.join(outputDir, 'audit');
+  const { code, stdout } = await runCli(['audit', '-f', 'all', '-o', output], withLinks);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, /1 unreadable, 1 page shared without their parent, 2 links to unshared pages/);
+  assert.match(stdout, /- Locked \(page\) https:\/\/www\.notion\.so\/a0000000000040008000000000000008\n {4}Its content can't be read \(restricted_resource\)/);
+  assert.match(stdout, /- Unknown page f0000000-0000-4000-8000-000000000001 .*\n {4}Parent of \/Shared without parent\/Shared Subpage, which is shared without it/);
+  assert.match(stdout, /- Unknown page f0000000-0000-4000-8000-000000000002 .*\n {4}Linked to from \/Engineering\/Runbooks\/Deploy/);
+  assert.match(stdout, /- Unknown page f0000000-0000-4000-8000-000000000003 .*\n {4}Mentioned from \/Engineering\/Runbooks\/Deploy/);
+  assert.doesNotMatch(stdout, /a0000000-0000-4000-8000-000000000004/);
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  assert.deepEqual(json.toShare.map(item => item.id), [
+    'f0000000-0000-4000-8000-000000000001',
+    'a0000000-0000-4000-8000-000000000008',
+    'f0000000-0000-4000-8000-000000000002',
+    'f0000000-0000-4000-8000-000000000003',
+  ]);
+  assert.deepEqual(json.brokenLinks.map(link => link.kind), ['link_to_page', 'mention']);
+  assert.match(await fs.readFile(`${output}.md`, 'utf8'), /^# Notion Integration Access Audit\n/);
+});
+
+test('audits a page with an unreadable block without reporting the page', async () => {
+  const engineeringId = 'a0000000-0000-4000-8000-000000000001';
+  const toggleId = 'b0000000-0000-4000-8000-000000000001';
+  const withUnreadableToggle = {
+    ...workspace,
+    blocks: {
+      ...workspace.blocks,
+      [engineeringId]: workspace.blocks[engineeringId].map(block => block.type === 'paragraph'
+        ? { ...block, paragraph: { rich_text: [{ type: 'mention', mention: { type: 'page', page: { id: 'f0000000-0000-4000-8000-000000000004' } }, plain_text: 'Plans', href: null }] } }
+        : block),
+    },
+    errors: { ...workspace.errors, [toggleId]: 'object_not_found' },
+  };
+  const output = path.join(outputDir, 'audit-block');
+  const { code, stdout } = await runCli(['audit', '--no-cache', '-r', engineeringId, '-f', 'all', '-o', output], withUnreadableToggle);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, new RegExp(`- Unknown block ${toggleId}\\n {4}Its nested blocks can't be read \\(object_not_found\\)`));
+  assert.match(stdout, /- Unknown page f0000000-0000-4000-8000-000000000004 .*\n {4}Mentioned from \/Engineering/);
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  assert.deepEqual(json.unreadable.map(item => [item.id, item.type]), [[toggleId, 'block']]);
+  assert.ok(!json.toShare.some(item => item.id === engineeringId), 'the page itself is shared');
+});
+
+test('audits unreadable nested blocks found while scanning page content', async () => {
+  const deployId = 'a0000000-0000-4000-8000-000000000003';
+  const syncedId = 'c0000000-0000-4000-8000-000000000030';
+  const originalId = 'c0000000-0000-4000-8000-000000000031';
+  const withUnsharedOriginal = {
+    ...workspace,
+    blocks: {
+      ...workspace.blocks,
+      [deployId]: [
+        { id: syncedId, type: 'synced_block', synced_block: { synced_from: { type: 'block_id', block_id: originalId } } },
+      ],
+      [syncedId]: [],
+    },
+    errors: { ...workspace.errors, [originalId]: 'object_not_found' },
+  };
+  const output = path.join(outputDir, 'audit-synced');
+  const { code, stdout } = await runCli(['audit', '--no-cache', '-r', 'a0000000-0000-4000-8000-000000000002', '-f', 'all', '-o', output], withUnsharedOriginal);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, new RegExp(`- Unknown block ${originalId}\\n {4}Its nested blocks can't be read \\(object_not_found\\)`));
+  
+  const json = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+  assert.deepEqual(json.unreadable.map(item => [item.id, item.type]), [[originalId, 'block']]);
+  assert.ok(!json.toShare.some(item => item.id === deployId), 'the page itself is shared');
+});
+
+test('compares two JSON exports', async () => {
+  const before = path.join(outputDir, 'before');
+  const after = path.join(outputDir, 'after');
+  const changed = {
+    ...workspace,
+    pages: workspace.pages
+      .filter(page => page.title !== 'Roadmap')
+      .map(page => page.title === 'Deploy' ? { ...page, title: 'Deploy to Production' } : page),
+  };
+  assert.equal((await runCli(['-f', 'json', '-o', before])).code, 0);
+  assert.equal((await runCli(['-f', 'json', '-o', after], changed)).code, 0);
+  
+  const report = path.join(outputDir, 'diff');
+  const { code, stdout, requests } = await runCli(['diff', `${before}.json`, `${after}.json`, '-f', 'all', '-o', report]);
+  
+  assert.equal(code, 0);
+  assert.equal(requests.length, 0, 'comparing exports should not touch the API');
+  assert.equal(consoleTree(stdout), [
+    '├── Engineering',
+    '│   └── Runbooks',
+    '│       └── ~ Deploy to Production (renamed from "Deploy")',
+    '└── - Roadmap',
+  ].join('\n'));
+  assert.match(stdout, /0 added, 1 removed, 1 renamed, 0 moved, 0 converted/);
+  
+  const markdown = await fs.readFile(`${report}.md`, 'utf8');
+  assert.match(markdown, /## Renamed\n\n- Engineering \/ Runbooks \/ Deploy → Deploy to Production\n/);
+  
+  const json = JSON.parse(await fs.readFile(`${report}.json`, 'utf8'));
+  assert.equal(json.old.file, `${before}.json`);
+  assert.deepEqual(json.changes.removed, [
+    { id: 'a0000000-0000-4000-8000-000000000009', title: 'Roadmap', type: 'page', path: ['Roadmap'] },
+  ]);
+});
@@ -0,0 +1,506 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { Client } from '@notionhq/client';
+import { loadWorkspace, startMockNotion } from './mock-notion/server.js';
+import {
+  buildTree,
+  createCrawler,
+  parseNotionId,
+  renderConsole,
+  toMarkdown,
+  toAsciiMarkdown,
+  toJSON,
+  toHTML,
+  toMermaid,
+  toDot,
+  toPlantUML,
+  toOPML,
+  toCSV,
+  toTSV,
+  toYAML,
+  TreeNode,
+  exportContent,
+  treeFromJSON,
+  limitDepth,
+  limitDbRows,
+  diffTrees,
+  renderDiffConsole,
+  diffToMarkdown,
+  browseTree,
+  blocksToMarkdown,
+  auditAccess,
+  parseTreePath,
+  resolveTreePath,
+  findNodes,
+  parseTimeCutoff,
+  computeTreeStats,
+  findStalePages,
+} from '../lib/index.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockNotion(await loadWorkspace('workspace'));
+});
+
+after(async () => {
+  await mock.close();
+});
+
+function createClient() {
+  return new Client({ auth: 'secret_test', baseUrl: mock.url, logLevel: 'error' });
+}
+
+test('buildTree uses an injected client and returns TreeNodes', async () => {
+  const warnings = [];
+  const tree = await buildTree({
+    notion: createClient(),
+    roots: ['a0000000-0000-4000-8000-000000000007'],
+    requestsPerSecond: 1000,
+    onWarning: message => warnings.push(message),
+  });
+  
+  assert.equal(tree.length, 1);
+  assert.ok(tree[0] instanceof TreeNode);
+  assert.equal(tree[0].title, 'Personal');
+  assert.deepEqual(tree[0].children.map(child => child.title), ['Locked']);
+  assert.equal(warnings.length, 1);
+});
+
+test('createCrawler exposes the individual crawl steps', async () => {
+  const crawler = createCrawler({ notion: createClient(), requestsPerSecond: 1000 });
+  
+  const rows = await crawler.fetchDatabasePages('d0000000-0000-4000-8000-000000000001');
+  assert.deepEqual(rows.map(row => row.title), ['Login fails', 'Slow search', 'Broken export']);
+  
+  const children = await crawler.fetchPageChildren('a0000000-0000-4000-8000-000000000001');
+  assert.deepEqual(children.map(child => child.title), ['Runbooks', 'Toggle Notes', 'Column Page', 'Architecture', 'Bug Tracker']);
+});
+
+test('renderers return strings', () => {
+  const root = new TreeNode('1', 'Root', 'page');
+  root.addChild(new TreeNode('2', 'Tasks', 'database', 'https://www.notion.so/2'));
+  const generatedAt = new Date('2024-05-01T12:00:00Z');
+  
+  assert.equal(renderConsole([root]).replace(/\x1b\[\d+m/g, ''), '└── Root\n    └── Tasks (Database)');
+  assert.match(toMarkdown([root], { generatedAt }), /- Root\n {2}- \[Tasks \(Database\)\]\(https:\/\/www\.notion\.so\/2\)\n$/);
+  assert.equal(JSON.parse(toJSON([root], { generatedAt })).generated, '2024-05-01T12:00:00.000Z');
+  assert.match(toHTML([new TreeNode('3', 'Q&A <draft>', 'page')]), /data-title="Q&amp;A &lt;draft&gt;"><span class="title">Q&amp;A &lt;draft&gt;<\/span>/);
+});
+
+test('parseNotionId accepts raw IDs, UUIDs and Notion URLs', () => {
+  const id = '1a2b3c4d-5e6f-7a8b-9c0d-1e2f3a4b5c6d';
+  
+  assert.equal(parseNotionId('1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d'), id);
+  assert.equal(parseNotionId('1A2B3C4D-5E6F-7A8B-9C0D-1E2F3A4B5C6D'), id);
+  assert.equal(parseNotionId('https://www.notion.so/acme/Engineering-Wiki-1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d?pvs=4'), id);
+  assert.equal(parseNotionId('https://www.notion.so/acme/Tasks-ffffffffffffffffffffffffffffffff?p=1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d&pm=s'), id);
+  assert.equal(parseNotionId('Engineering Wiki'), null);
+});
+
+test('treeFromJSON restores TreeNodes from a JSON export', () => {
+  const root = new TreeNode('1', 'Root', 'page');
+  const child = new TreeNode('2', 'Child', 'page');
+  child.addChild(new TreeNode('3', 'Grandchild', 'page'));
+  root.addChild(child);
+  
+  const restored = treeFromJSON(toJSON([root]));
+  
+  assert.ok(restored[0].children[0] instanceof TreeNode);
+  assert.deepEqual(restored, [root]);
+  assert.deepEqual(limitDepth(restored, 1)[0].children[0].children, []);
+  assert.equal(restored[0].children[0].children.length, 1, 'limitDepth should not modify its input');
+});
+
+test('diffTrees matches nodes by ID and classifies changes', () => {
+  function workspaceTree(changed) {
+    const wiki = new TreeNode('1', 'Wiki', 'page');
+    const archive = new TreeNode('2', 'Archive', 'page');
+    const notes = new TreeNode('3', changed ? 'Meeting Notes' : 'Notes', changed ? 'database' : 'page');
+    (changed ? archive : wiki).addChild(notes);
+    wiki.addChild(new TreeNode(changed ? '5' : '4', changed ? 'Onboarding' : 'Old Draft', 'page'));
+    return [wiki, archive];
+  }
+  
+  const diff = diffTrees(workspaceTree(false), workspaceTree(true));
+  
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, renamed: 1, moved: 1, converted: 1 });
+  assert.deepEqual(diff.changes.moved[0].oldPath, ['Wiki', 'Notes']);
+  assert.deepEqual(diff.changes.moved[0].newPath, ['Archive', 'Meeting Notes']);
+  assert.equal(renderDiffConsole(diff).replace(/\x1b\[\d+m/g, ''), [
+    '├── Wiki',
+    '│   ├── + Onboarding',
+    '│   └── - Old Draft',
+    '└── Archive',
+    '    └── ~ Meeting Notes (Database) (renamed from "Notes", moved from Wiki, converted from page to database)',
+    '',
+    '1 added, 1 removed, 1 renamed, 1 moved, 1 converted',
+  ].join('\n'));
+  assert.match(diffToMarkdown(diff), /## Moved\n\n- Meeting Notes: Wiki \/ Notes → Archive \/ Meeting Notes\n/);
+  assert.deepEqual(diffTrees(workspaceTree(true), workspaceTree(true)).tree, []);
+});
+
+test('renderers prefix titles with icons', () => {
+  const root = new TreeNode('1', 'Root', 'page');
+  root.metadata = { icon: { type: 'emoji', emoji: '🚀' } };
+  const tasks = new TreeNode('2', 'Tasks', 'database', 'https://www.notion.so/2');
+  const logo = new TreeNode('3', 'Logo', 'page');
+  logo.metadata = { icon: { type: 'external', external: { url: 'https://example.com/logo.png' } } };
+  root.addChild(tasks);
+  root.addChild(logo);
+  
+  assert.equal(renderConsole([root], { icons: true }).replace(/\x1b\[\d+m/g, ''), [
+    '└── 🚀 Root',
+    '    ├── 🗃️ Tasks (Database)',
+    '    └── 🖼️ Logo',
+  ].join('\n'));
+  assert.match(toMarkdown([root], { icons: true }), /- 🚀 Root\n {2}- 🗃️ \[Tasks \(Database\)\]\(https:\/\/www\.notion\.so\/2\)\n {2}- 🖼️ Logo\n$/);
+  assert.match(toAsciiMarkdown([root], { icons: true }), /└── 🚀 Root\n {4}├── 🗃️ Tasks \(Database\) \[1\]\n/);
+});
+
+test('browseTree expands nodes lazily and copies URLs', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  output.columns = 100;
+  output.rows = 10;
+  let screen = '';
+  output.on('data', chunk => { screen = chunk.toString().split('\x1b[2J').pop(); });
+  
+  const loaded = [];
+  const copied = [];
+  const tree = [new TreeNode('a1', 'Engineering', 'page'), new TreeNode('a2', 'Personal', 'page')];
+  const done = browseTree(tree, {
+    input,
+    output,
+    loadChildren: async node => {
+      loaded.push(node.id);
+      return [new TreeNode(`${node.id}1`, `${node.title} Notes`, 'page')];
+    },
+    copy: async text => { copied.push(text); },
+  });
+  
+  // Give the browser a turn to handle each key press
+  async function press(keys) {
+    input.write(keys);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  
+  await press('\x1b[B'); // down to Personal
+  await press('\x1b[C'); // expand it
+  assert.deepEqual(loaded, ['a2']);
+  assert.match(screen.replace(/\x1b\[\d+m/g, ''), /▾ Personal\s+│.*\n {2}▸ Personal Notes/);
+  
+  await press('\x1b[B');
+  await press('u');
+  assert.deepEqual(copied, ['https://www.notion.so/a21']);
+  
+  await press('/eng\r');
+  assert.doesNotMatch(screen, /Personal/);
+  
+  await press('q');
+  await done;
+});
+
+test('diagram renderers draw pages and databases and collapse extra rows', () => {
+  const root = new TreeNode('1', 'Wiki', 'page', 'https://www.notion.so/1');
+  const tasks = new TreeNode('2', 'Tasks "Q3"', 'database');
+  for (let i = 1; i <= 4; i++) {
+    tasks.addChild(new TreeNode(`t${i}`, `Task ${i}`, 'page'));
+  }
+  root.addChild(tasks);
+  
+  assert.equal(toMermaid([root], { maxRows: 2 }), [
+    'flowchart LR',
+    '  n1["Wiki"]',
+    '  n2[("Tasks #quot;Q3#quot;")]',
+    '  n3["Task 1"]',
+    '  n4["Task 2"]',
+    '  n5(["… and 2 more rows"])',
+    '  n1 --> n2',
+    '  n2 --> n3',
+    '  n2 --> n4',
+    '  n2 --> n5',
+    '  click n1 "https://www.notion.so/1" _blank',
+    '',
+  ].join('\n'));
+  assert.match(toDot([root]), /n2 \[label="Tasks \\"Q3\\"", shape=cylinder, color="#00838f"\];\n {2}n3 \[label="Task 1"/);
+  assert.match(toDot([root]), /n1 \[label="Wiki", shape=box, color="#2e7d32", URL="https:\/\/www\.notion\.so\/1"\];/);
+  assert.match(toPlantUML([root], { maxRows: 0 }), /^@startuml\nleft to right direction\nrectangle "Wiki" as n1 \[\[https:\/\/www\.notion\.so\/1\]\]\ndatabase "Tasks 'Q3'" as n2\ncard "… and 4 more rows" as n3\nn1 --> n2\nn2 --> n3\n@enduml\n$/);
+});
+
+test('data renderers escape titles for OPML, CSV, TSV and YAML', () => {
+  const root = new TreeNode('1', 'Q&A "draft"', 'page', 'https://www.notion.so/1');
+  root.addChild(new TreeNode('2', 'Tasks, done\tlist', 'database'));
+  const generatedAt = new Date('2024-05-01T12:00:00Z');
+  
+  assert.match(toOPML([root], { generatedAt }), /<dateCreated>Wed, 01 May 2024 12:00:00 GMT<\/dateCreated>\n {2}<\/head>\n {2}<body>\n {4}<outline text="Q&amp;A &quot;draft&quot;" notionId="1" notionType="page" type="link" url="https:\/\/www\.notion\.so\/1">\n {6}<outline text="Tasks, done\tlist \(Database\)" notionId="2" notionType="database"\/>\n {4}<\/outline>\n/);
+  assert.equal(toCSV([root]), [
+    'id,title,type,depth,parent_id,path,url',
+    '1,"Q&A ""draft""",page,0,,"Q&A ""draft""",https://www.notion.so/1',
+    '2,"Tasks, done\tlist",database,1,1,"Q&A ""draft"" / Tasks, done\tlist",',
+    '',
+  ].join('\r\n'));
+  assert.equal(toTSV([root]).split('\n')[2], '2\tTasks, done list\tdatabase\t1\t1\tQ&A "draft" / Tasks, done list\t');
+  assert.equal(toYAML([root], { generatedAt }), [
+    'generated: "2024-05-01T12:00:00.000Z"',
+    'options:',
+    '  maxDepth: .inf',
+    '  includeUrls: false',
+    'tree:',
+    '  - id: "1"',
+    '    title: "Q&A \\"draft\\""',
+    '    type: "page"',
+    '    url: "https://www.notion.so/1"',
+    '    children:',
+    '      - id: "2"',
+    '        title: "Tasks, done\\tlist"',
+    '        type: "database"',
+    '        url: null',
+    '        children: []',
+    '',
+  ].join('\n'));
+});
+
+test('limitDbRows records the true row count for the renderers', () => {
+  const tasks = new TreeNode('1', 'Tasks', 'database');
+  for (let i = 1; i <= 1235; i++) {
+    tasks.addChild(new TreeNode(`t${i}`, `Task ${i}`, 'page'));
+  }
+  
+  const [limited] = limitDbRows([tasks], 1);
+  
+  assert.equal(limited.rowCount, 1235);
+  assert.equal(tasks.children.length, 1235, 'limitDbRows should not modify its input');
+  assert.match(toAsciiMarkdown([limited]), /└── Tasks \(Database\)\n {4}├── Task 1\n {4}└── … and 1,234 more rows\n/);
+  assert.match(toHTML([limited]), /<li class="summary leaf" data-title="">… and 1,234 more rows<\/li>/);
+  assert.match(toMermaid(limitDbRows([tasks], 0), { maxRows: 5 }), /n2\(\["… and 1,235 more rows"\]\)/);
+});
+
+test('blocksToMarkdown converts page content and links to resolved pages', () => {
+  const text = (content, annotations = {}) => ({ type: 'text', text: { content }, plain_text: content, annotations, href: null });
+  const block = (type, value, children) => ({ id: `${type}-1`, type, [type]: value, has_children: Boolean(children), children });
+  const rollback = { type: 'mention', mention: { type: 'page', page: { id: 'p2' } }, plain_text: 'Rollback', href: 'https://www.notion.so/p2' };
+  
+  const markdown = blocksToMarkdown([
+    block('heading_2', { rich_text: [text('Setup')] }),
+    block('paragraph', { rich_text: [text('Run '), text('deploy', { code: true }), text(' with '), text('care ', { bold: true }), text('*now*, see '), rollback] }),
+    block('bulleted_list_item', { rich_text: [text('Prepare')] }, [block('to_do', { rich_text: [text('Check')], checked: true })]),
+    block('numbered_list_item', { rich_text: [text('Build')] }),
+    block('numbered_list_item', { rich_text: [text('Ship')] }),
+    block('code', { rich_text: [text('npm test')], language: 'shell', caption: [] }),
+    block('callout', { rich_text: [text('Careful')], icon: { type: 'emoji', emoji: '⚠️' } }, [block('paragraph', { rich_text: [text('Really')] })]),
+    block('table', { table_width: 2, has_column_header: true }, [
+      block('table_row', { cells: [[text('Name')], [text('Value')]] }),
+      block('table_row', { cells: [[text('a|b')], [text('1')]] }),
+    ]),
+    block('toggle', { rich_text: [text('More')] }, [block('paragraph', { rich_text: [text('Hidden')] })]),
+    block('link_to_page', { type: 'page_id', page_id: 'p2' }),
+    block('ai_block', {}),
+  ], { resolvePage: id => (id === 'p2' ? { title: 'Rollback', href: 'Rollback.md' } : null) });
+  
+  assert.equal(markdown, [
+    '## Setup',
+    '',
+    'Run `deploy` with **care** \\*now\\*, see [Rollback](Rollback.md)',
+    '',
+    '- Prepare',
+    '  - [x] Check',
+    '1. Build',
+    '2. Ship',
+    '',
+    '```shell',
+    'npm test',
+    '```',
+    '',
+    '> ⚠️ Careful',
+    '>',
+    '> Really',
+    '',
+    '| Name | Value |',
+    '| --- | --- |',
+    '| a\\|b | 1 |',
+    '',
+    '<details>',
+    '<summary>More</summary>',
+    '',
+    'Hidden',
+    '',
+    '</details>',
+    '',
+    '↗ [Rollback](Rollback.md)',
+    '',
+    '<!-- Unsupported block: ai_block -->',
+    '',
+  ].join('\n'));
+});
+
+test('resolveTreePath handles escaped slashes, case and duplicate titles', async () => {
+  const docs = new TreeNode('1', 'Docs', 'page');
+  const ci = new TreeNode('2', 'CI/CD', 'page');
+  const firstNotes = new TreeNode('3a000000-0000', 'Notes', 'page');
+  const secondNotes = new TreeNode('3b000000-0000', 'notes', 'database');
+  for (const child of [ci, firstNotes, secondNotes]) {
+    docs.addChild(child);
+  }
+  const getChildren = node => (node ? node.children : [docs]);
+  
+  assert.deepEqual(parseTreePath('/Docs//CI\\/CD/'), ['Docs', 'CI/CD']);
+  assert.deepEqual((await resolveTreePath('docs/CI\\/CD', getChildren)).map(step => step.segment), ['Docs', 'CI\\/CD']);
+  assert.equal((await resolveTreePath('/Docs/Notes', getChildren)).pop().node, firstNotes, 'exact case wins');
+  assert.equal((await resolveTreePath('/Docs/NOTES@3b00', getChildren)).pop().node, secondNotes);
+  await assert.rejects(resolveTreePath('/Docs/NOTES', getChildren), /"NOTES" is ambiguous in \/Docs; use one of "Notes@3a000000", "notes@3b000000"/);
+  await assert.rejects(resolveTreePath('/Docs/Notes@3c00', getChildren), /No page or database "Notes@3c00" in \/Docs/);
+  
+  const found = await findNodes(null, getChildren, { type: 'database' });
+  assert.deepEqual(found.map(match => match.path), ['/Docs/notes@3b000000']);
+  
+  const now = new Date('2024-06-30T00:00:00Z');
+  assert.equal(parseTimeCutoff('2w', now).toISOString(), '2024-06-16T00:00:00.000Z');
+  assert.equal(parseTimeCutoff('2024-05-01').toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.throws(() => parseTimeCutoff('soon'), /Invalid time "soon"/);
+});
+
+test('computeTreeStats counts rows cut off by --max-db-rows', () => {
+  const wiki = new TreeNode('1', 'Wiki', 'page');
+  const tasks = new TreeNode('2', 'Tasks', 'database');
+  wiki.addChild(tasks);
+  wiki.addChild(new TreeNode('3', 'Notes', 'page'));
+  for (let i = 1; i <= 1500; i++) {
+    tasks.addChild(new TreeNode(`t${i}`, `Task ${i}`, 'page'));
+  }
+  
+  const stats = computeTreeStats(limitDbRows([wiki], 10));
+  
+  assert.deepEqual(stats.totals, { nodes: 1503, pages: 2, databases: 1, rows: 1500, maxDepth: 2 });
+  assert.deepEqual(stats.widest, { id: '2', title: 'Tasks', type: 'database', path: '/Wiki/Tasks', children: 1500 });
+  assert.deepEqual(stats.subtrees.map(subtree => [subtree.path, subtree.nodes, subtree.depth]), [['/Wiki', 1502, 2], ['/Wiki/Tasks', 1500, 1]]);
+  assert.match(toMarkdown([wiki], { counts: true }), /^- Wiki · 1 page, 1 database, 1,500 rows$/m);
+});
+
+test('findStalePages marks only the top of a fully stale subtree', async () => {
+  const page = (id, title, lastEditedTime) => Object.assign(new TreeNode(id, title, 'page'), { metadata: { lastEditedTime, lastEditedBy: 'user-1' } });
+  const archive = page('1', 'Archive', '2023-01-01T00:00:00.000Z');
+  const year = page('2', '2022', '2023-01-01T00:00:00.000Z');
+  const current = page('3', 'Current', '2024-05-01T00:00:00.000Z');
+  archive.addChild(year);
+  year.addChild(page('4', 'Q4', '2022-12-01T00:00:00.000Z'));
+  current.addChild(page('5', 'Old notes', '2023-06-01T00:00:00.000Z'));
+  
+  const report = await findStalePages([archive, current], {
+    cutoff: new Date('2024-01-01'),
+    now: new Date('2024-01-11'),
+    isEmpty: async node => node.title === 'Q4',
+  });
+  
+  assert.equal(report.checked, 5);
+  assert.deepEqual(report.pages.map(entry => [entry.path, entry.days, entry.empty, entry.staleSubtree]), [
+    ['/Archive', 375, false, 2],
+    ['/Archive/2022', 375, false, 0],
+    ['/Archive/2022/Q4', 406, true, 0],
+    ['/Current/Old notes', 224, false, 0],
+  ]);
+  
+  await assert.rejects(findStalePages([new TreeNode('6', 'Bare', 'page')], { cutoff: new Date() }), /No page has a last edited time/);
+  
+  // A database without rows has no pages to check
+  const empty = await findStalePages([new TreeNode('7', 'Empty', 'database')], { cutoff: new Date() });
+  assert.deepEqual([empty.checked, empty.pages], [0, []]);
+});
+
+test('fetchRootItems walks up through each container block once', async () => {
+  const workspace = await loadWorkspace('workspace');
+  const columnId = 'b0000000-0000-4000-8000-000000000003';
+  const secondPageId = 'a0000000-0000-4000-8000-000000000016';
+  const columnMock = await startMockNotion({
+    ...workspace,
+    pages: [...workspace.pages, { id: secondPageId, title: 'Second Column Page', parent: { type: 'block_id', block_id: columnId } }],
+    blocks: { ...workspace.blocks, [columnId]: [...workspace.blocks[columnId], { id: secondPageId, type: 'child_page' }] },
+  });
+  try {
+    const crawler = createCrawler({
+      notion: new Client({ auth: 'secret_test', baseUrl: columnMock.url, logLevel: 'error' }),
+      requestsPerSecond: 1000,
+      concurrency: 4,
+    });
+    const rootItems = await crawler.fetchRootItems();
+    
+    const orphanGroup = rootItems.find(item => item.type === 'group');
+    assert.deepEqual(orphanGroup.children.map(item => item.title), ['Shared Subpage']);
+    const blockLookups = columnMock.requests
+      .filter(request => /^\/v1\/blocks\/[^/]+$/.test(request.path))
+      .map(request => request.path);
+    assert.deepEqual(blockLookups, [...new Set(blockLookups)], 'each block should be retrieved once');
+    assert.ok(blockLookups.includes(`/v1/blocks/${columnId}`));
+  } finally {
+    await columnMock.close();
+  }
+});
+
+test('exportContent exports sibling pages in parallel with concurrency', async () => {
+  const root = new TreeNode('1', 'Root', 'page');
+  for (const id of ['2', '3', '4']) {
+    root.addChild(new TreeNode(id, `Page ${id}`, 'page'));
+  }
+  let fetching = 0;
+  let mostFetching = 0;
+  const crawler = {
+    fetchBlockTree: async id => {
+      mostFetching = Math.max(mostFetching, ++fetching);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      fetching--;
+      return [{ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', plain_text: `Text of ${id}` }] } }];
+    },
+  };
+  
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notion-content-'));
+  try {
+    const counts = await exportContent([root], { crawler, dir, concurrency: 3 });
+    
+    assert.deepEqual(counts, { pages: 4, databases: 0 });
+    assert.equal(mostFetching, 3);
+    assert.equal(await fs.readFile(path.join(dir, 'Root', 'Page 3.md'), 'utf8'), '# Page 3\n\nText of 3\n');
+    assert.match(await fs.readFile(path.join(dir, 'index.md'), 'utf8'), /- \[Page 2\]\(Root\/Page%202\.md\)\n {2}- \[Page 3\]\(Root\/Page%203\.md\)\n {2}- \[Page 4\]/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('auditAccess finds links to unshared pages in nested blocks', async () => {
+  const wiki = new TreeNode('1', 'Wiki', 'page');
+  wiki.addChild(new TreeNode('2', 'Notes', 'page'));
+  const mention = (type, id) => ({ type: 'mention', mention: { type, [type]: { id } }, plain_text: id });
+  const blocks = {
+    1: [
+      { type: 'toggle', toggle: { rich_text: [mention('page', '2')] }, children: [
+        { type: 'link_to_page', link_to_page: { type: 'page_id', page_id: 'x1' } },
+      ] },
+      { type: 'table', children: [{ type: 'table_row', table_row: { cells: [[mention('database', 'x2')], [mention('page', 'ok')]] } }] },
+    ],
+    2: [{ type: 'paragraph', paragraph: { rich_text: [mention('page', 'x1'), mention('page', '1')] } }],
+  };
+  const checked = [];
+  const crawler = {
+    fetchBlockTree: async id => blocks[id],
+    isAccessible: async id => {
+      checked.push(id);
+      return id === 'ok';
+    },
+  };
+  
+  const audit = await auditAccess([wiki], { crawler });
+  
+  assert.deepEqual(checked.sort(), ['ok', 'x1', 'x2']);
+  assert.deepEqual(audit.brokenLinks.map(link => [link.sourcePath, link.id, link.kind]), [
+    ['/Wiki', 'x1', 'link_to_page'],
+    ['/Wiki', 'x2', 'mention'],
+    ['/Wiki/Notes', 'x1', 'mention'],
+  ]);
+  assert.deepEqual(audit.toShare.map(item => [item.id, item.type, item.reasons]), [
+    ['x1', 'page', ['Linked to from /Wiki', 'Mentioned from /Wiki/Notes']],
+    ['x2', 'database', ['Mentioned from /Wiki']],
+  ]);
+});
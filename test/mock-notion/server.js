@@ -0,0 +1,258 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Load a fixture workspace from test/fixtures/<name>.json
+export async function loadWorkspace(name) {
+  const content = await fs.readFile(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+  return JSON.parse(content);
+}
+
+// Notion URLs use the undashed ID
+function notionUrl(id) {
+  return `https://www.notion.so/${id.replace(/-/g, '')}`;
+}
+
+function toPageObject(page) {
+  return {
+    object: 'page',
+    id: page.id,
+    created_time: page.created_time || '2024-01-01T00:00:00.000Z',
+    last_edited_time: page.last_edited_time || '2024-01-01T00:00:00.000Z',
+    created_by: { object: 'user', id: page.created_by || 'user-1' },
+    last_edited_by: { object: 'user', id: page.last_edited_by || 'user-1' },
+    icon: page.icon || null,
+    cover: page.cover || null,
+    archived: false,
+    in_trash: false,
+    parent: page.parent,
+    url: notionUrl(page.id),
+    properties: {
+      ...page.properties,
+      Name: { id: 'title', type: 'title', title: [{ type: 'text', plain_text: page.title }] },
+    },
+  };
+}
+
+// Sort query results by timestamps or title, the only properties fixture
+// rows have; later sorts break ties of earlier ones
+function sortRows(rows, sorts) {
+  function sortValue(row, sort) {
+    if (sort.timestamp) {
+      return row[sort.timestamp];
+    }
+    const property = row.properties[sort.property];
+    return property && property.type === 'title' ? property.title.map(text => text.plain_text).join('') : '';
+  }
+  
+  return [...rows].sort((a, b) => {
+    for (const sort of sorts) {
+      const order = sortValue(a, sort).localeCompare(sortValue(b, sort));
+      if (order !== 0) {
+        return sort.direction === 'descending' ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
+
+function toDatabaseObject(database) {
+  return {
+    object: 'database',
+    id: database.id,
+    created_time: database.created_time || '2024-01-01T00:00:00.000Z',
+    last_edited_time: database.last_edited_time || '2024-01-01T00:00:00.000Z',
+    icon: database.icon || null,
+    cover: null,
+    archived: false,
+    in_trash: false,
+    title: [{ type: 'text', plain_text: database.title }],
+    parent: database.parent,
+    url: notionUrl(database.id),
+    properties: database.properties || {
+      Name: { id: 'title', name: 'Name', type: 'title', title: {} },
+    },
+  };
+}
+
+// A fixture workspace looks like:
+//
+//   {
+//     "pageSize": 2,                      // caps every list response to force pagination
+//     "pages": [{ "id", "title", "parent" }],
+//     "databases": [{ "id", "title", "parent", "properties" }],  // properties default to a Name title
+//     "blocks": { "<page or block id>": [{ "id", "type", ... }] },
+//     "errors": { "<id>": "object_not_found" | "restricted_resource" },
+//     "rateLimitedRequests": [1, 5]       // 1-based request numbers answered with a 429
+//   }
+//
+// Pages whose parent is a database are returned as that database's rows.
+// child_page and child_database blocks get their title from the matching
+// page or database, and has_children is set for blocks listed in "blocks".
+function createHandler(workspace, requests) {
+  const pageSize = workspace.pageSize || 100;
+  const pages = workspace.pages || [];
+  const databases = workspace.databases || [];
+  const blocks = workspace.blocks || {};
+  const errors = workspace.errors || {};
+  const rateLimitedRequests = new Set(workspace.rateLimitedRequests || []);
+  
+  function findTitle(id) {
+    const match = pages.find(page => page.id === id) || databases.find(database => database.id === id);
+    return match ? match.title : 'Untitled';
+  }
+  
+  function toBlockObject(block, parentId) {
+    const result = {
+      object: 'block',
+      id: block.id,
+      parent: pages.some(page => page.id === parentId)
+        ? { type: 'page_id', page_id: parentId }
+        : { type: 'block_id', block_id: parentId },
+      type: block.type,
+      has_children: block.id in blocks,
+      [block.type]: block[block.type] || {},
+    };
+    if (block.type === 'child_page' || block.type === 'child_database') {
+      result[block.type] = { title: findTitle(block.id) };
+    }
+    return result;
+  }
+  
+  function findBlock(blockId) {
+    for (const [parentId, children] of Object.entries(blocks)) {
+      const block = children.find(child => child.id === blockId);
+      if (block) {
+        return toBlockObject(block, parentId);
+      }
+    }
+    return null;
+  }
+  
+  function paginate(results, startCursor, requestedSize = 100) {
+    const start = startCursor ? Number(startCursor) : 0;
+    const size = Math.min(pageSize, requestedSize);
+    const end = start + size;
+    const hasMore = end < results.length;
+    return {
+      object: 'list',
+      results: results.slice(start, end),
+      has_more: hasMore,
+      next_cursor: hasMore ? String(end) : null,
+    };
+  }
+  
+  function errorResponse(code, id) {
+    const status = code === 'restricted_resource' ? 403 : 404;
+    return [status, {
+      object: 'error',
+      status,
+      code,
+      message: `Could not find object with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`,
+    }];
+  }
+  
+  // Route a request to [status, body]
+  function route(method, pathname, query, body) {
+    const parts = pathname.replace(/^\/v1\//, '').split('/');
+    const id = parts[1];
+    
+    if (id && errors[id]) {
+      return errorResponse(errors[id], id);
+    }
+    
+    if (method === 'POST' && parts[0] === 'search') {
+      const objects = body.filter && body.filter.value === 'database'
+        ? databases.map(toDatabaseObject)
+        : pages.map(toPageObject);
+      return [200, paginate(objects, body.start_cursor, body.page_size)];
+    }
+    
+    if (method === 'POST' && parts[0] === 'databases' && parts[2] === 'query') {
+      if (!databases.some(database => database.id === id)) {
+        return errorResponse('object_not_found', id);
+      }
+      const rows = pages.filter(page => page.parent.database_id === id).map(toPageObject);
+      const properties = toDatabaseObject(databases.find(database => database.id === id)).properties;
+      const sorts = body.sorts || [];
+      const unknownSort = sorts.find(sort => !sort.timestamp && !(sort.property in properties));
+      if (unknownSort) {
+        return [400, { object: 'error', status: 400, code: 'validation_error', message: `Could not find sort property with name or id: ${unknownSort.property}` }];
+      }
+      return [200, paginate(sortRows(rows, sorts), body.start_cursor, body.page_size)];
+    }
+    
+    if (method === 'GET' && parts[0] === 'databases' && parts.length === 2) {
+      const database = databases.find(candidate => candidate.id === id);
+      return database ? [200, toDatabaseObject(database)] : errorResponse('object_not_found', id);
+    }
+    
+    if (method === 'GET' && parts[0] === 'pages' && parts.length === 2) {
+      const page = pages.find(candidate => candidate.id === id);
+      if (!page) {
+        // The real API rejects database IDs on the pages endpoint
+        return databases.some(database => database.id === id)
+          ? [400, { object: 'error', status: 400, code: 'validation_error', message: `${id} is a database, not a page.` }]
+          : errorResponse('object_not_found', id);
+      }
+      return [200, toPageObject(page)];
+    }
+    
+    if (method === 'GET' && parts[0] === 'blocks' && parts[2] === 'children') {
+      const children = (blocks[id] || []).map(block => toBlockObject(block, id));
+      return [200, paginate(children, query.get('start_cursor'), Number(query.get('page_size')) || 100)];
+    }
+    
+    if (method === 'GET' && parts[0] === 'blocks' && parts.length === 2) {
+      const block = findBlock(id);
+      return block ? [200, block] : errorResponse('object_not_found', id);
+    }
+    
+    return [404, { object: 'error', status: 404, code: 'invalid_request_url', message: `No route for ${method} ${pathname}` }];
+  }
+  
+  return (req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = rawBody ? JSON.parse(rawBody) : {};
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+      
+      let status;
+      let responseBody;
+      const headers = { 'content-type': 'application/json' };
+      
+      if (rateLimitedRequests.has(requests.length)) {
+        status = 429;
+        responseBody = { object: 'error', status: 429, code: 'rate_limited', message: 'You have been rate limited.' };
+        headers['retry-after'] = '1';
+      } else {
+        [status, responseBody] = route(req.method, url.pathname, url.searchParams, body);
+      }
+      
+      res.writeHead(status, headers);
+      res.end(JSON.stringify(responseBody));
+    });
+  };
+}
+
+// Start a local stand-in for the Notion API serving the given fixture
+// workspace. Resolves to { url, requests, close } where `url` is the base URL
+// to hand to the Notion client and `requests` records every request received.
+export async function startMockNotion(workspace) {
+  const requests = [];
+  const server = http.createServer(createHandler(workspace, requests));
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}